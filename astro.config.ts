@@ -1,3 +1,4 @@
+import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 
@@ -12,6 +13,8 @@ import compress from "astro-compress";
 import type { AstroIntegration } from "astro";
 
 import astrowind from "./vendor/integration";
+import packValidation from "./src/integrations/pack-validation";
+import { getUnlistedPackSlugs } from "./scripts/lib/pack-lifecycle.js";
 
 import {
   readingTimeRemarkPlugin,
@@ -21,6 +24,19 @@ import {
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// Archived packs (noindex) and redirects from renamed slugs stay out of the sitemap
+const packsDir = path.join(__dirname, "src/data/intelligence-packs");
+const unlistedPackPaths = new Set(
+  getUnlistedPackSlugs(
+    fs
+      .readdirSync(packsDir)
+      .filter((file) => file.endsWith(".json") && file !== "schema.json")
+      .map((file) =>
+        JSON.parse(fs.readFileSync(path.join(packsDir, file), "utf-8")),
+      ),
+  ).map((slug: string) => `/intelligence-packs/${slug}`),
+);
+
 const hasExternalScripts = false;
 const whenExternalScripts = (
   items: (() => AstroIntegration) | (() => AstroIntegration)[] = [],
@@ -43,7 +59,10 @@ export default defineConfig({
     tailwind({
       applyBaseStyles: false,
     }),
-    sitemap(),
+    sitemap({
+      filter: (page) =>
+        !unlistedPackPaths.has(new URL(page).pathname.replace(/\/$/, "")),
+    }),
     mdx(),
     icon({
       include: {
@@ -84,6 +103,8 @@ export default defineConfig({
     astrowind({
       config: "./src/config.yaml",
     }),
+
+    packValidation(),
   ],
 
   image: {
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Check intelligence pack version bumps between two git revisions
+ * Classifies every change to a pack (breaking → major, additions → minor,
+ * text edits → patch) and fails when the pack's `version` bump is smaller
+ * than its changes require. Packs are matched by `id`, so renamed files are fine.
+ * Run: npm run check:pack-versions [-- --base <rev>] [--head <rev>]
+ * --base defaults to HEAD, --head defaults to the working tree.
+ */
+
+import { execFileSync } from "child_process";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { checkPackVersion } from "./lib/pack-version-diff.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.join(__dirname, "..");
+const PACKS_DIR = "src/data/intelligence-packs";
+
+const LEVEL_ICONS = { major: "💥", minor: "✨", patch: "📝" };
+
+function git(args) {
+  return execFileSync("git", args, {
+    cwd: rootDir,
+    encoding: "utf-8",
+    maxBuffer: 32 * 1024 * 1024,
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+}
+
+function isPackFile(file) {
+  return file.endsWith(".json") && path.basename(file) !== "schema.json";
+}
+
+/**
+ * Pack files at a revision, or in the working tree when `rev` is undefined,
+ * as a map of pack id → { file, data }
+ */
+function readPacks(rev) {
+  const files = rev
+    ? git(["ls-tree", "-r", "--name-only", rev, "--", `${PACKS_DIR}/`])
+        .split("\n")
+        .filter(Boolean)
+    : fs
+        .readdirSync(path.join(rootDir, PACKS_DIR))
+        .map((file) => `${PACKS_DIR}/${file}`);
+
+  const packs = new Map();
+  for (const file of files.filter(isPackFile)) {
+    const text = rev
+      ? git(["show", `${rev}:${file}`])
+      : fs.readFileSync(path.join(rootDir, file), "utf-8");
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`${file}${rev ? ` at ${rev}` : ""}: ${error.message}`);
+    }
+    if (data.id) packs.set(data.id, { file, data });
+  }
+
+  return packs;
+}
+
+function main() {
+  let args;
+  try {
+    ({ values: args } = parseArgs({
+      options: {
+        base: { type: "string", default: "HEAD" },
+        head: { type: "string" },
+      },
+    }));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(2);
+  }
+
+  const headLabel = args.head || "working tree";
+  let before, after;
+  try {
+    before = readPacks(args.base);
+    after = readPacks(args.head);
+  } catch (error) {
+    const message = error.stderr?.toString().trim() || error.message;
+    console.error(`❌ Failed to read packs: ${message}`);
+    process.exit(2);
+  }
+
+  console.log(`🔍 Comparing intelligence packs: ${args.base} → ${headLabel}\n`);
+
+  let failures = 0;
+  let changed = 0;
+
+  for (const [id, { file, data }] of after) {
+    const previous = before.get(id);
+    if (!previous) {
+      console.log(`📦 ${id} (${file}): new pack at ${data.version}\n`);
+      continue;
+    }
+
+    const result = checkPackVersion(previous.data, data);
+    const versionChanged = previous.data.version !== data.version;
+    if (result.changes.length === 0 && !versionChanged) continue;
+    changed++;
+
+    const versions = versionChanged
+      ? `${previous.data.version} → ${data.version}`
+      : `${data.version} (unchanged)`;
+    console.log(`${result.ok ? "✅" : "❌"} ${id} (${file}): ${versions}`);
+
+    for (const change of result.changes) {
+      console.log(
+        `   ${LEVEL_ICONS[change.level]} ${change.level}: ${change.message}`,
+      );
+    }
+
+    if (result.bump === "downgrade") {
+      console.log(
+        `   Version went backwards; versions must increase (at least ${result.suggestion || "a patch bump"})`,
+      );
+    } else if (!result.ok) {
+      console.log(
+        `   Changes need a ${result.required} bump, got ${result.bump === "none" ? "no bump" : `a ${result.bump} bump`} (expected at least ${result.suggestion})`,
+      );
+    } else if (!result.level) {
+      console.log("   Version bumped without content changes");
+    }
+    console.log("");
+
+    if (!result.ok) failures++;
+  }
+
+  for (const [id, { file }] of before) {
+    if (!after.has(id)) {
+      console.log(
+        `⚠️  ${id} (${file}): pack removed; consider setting status "archived" instead\n`,
+      );
+    }
+  }
+
+  if (failures > 0) {
+    console.error(
+      `❌ ${failures} of ${changed} changed pack(s) need a larger version bump`,
+    );
+    process.exit(1);
+  }
+
+  console.log(
+    changed > 0
+      ? `✅ All ${changed} changed pack(s) have matching version bumps`
+      : "✅ No pack changes",
+  );
+  process.exit(0);
+}
+
+main();
@@ -1,323 +1,397 @@
 #!/usr/bin/env node
 
 /**
- * Generate intelligence pack schema documentation from schema.json
- * This script generates human-readable documentation from the JSON schema
- * Run: node scripts/generate-pack-docs.js
+ * Generate schema documentation from the JSON schemas in src/data
+ * Walks each schema recursively (nested objects, array items, $ref and oneOf/anyOf)
+ * and renders enums, constraints and examples from the schema itself, so the
+ * output is deterministic and only changes when a schema does.
+ * Run: npm run generate:pack-docs
+ * Check mode (fails when a generated file is stale): npm run check:pack-docs
  */
 
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import prettier from "prettier";
+import { loadPackSchema } from "./lib/pack-categories.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const schemaPath = path.join(
-  __dirname,
-  "../src/data/intelligence-packs/schema.json",
-);
-const docsPath = path.join(
-  __dirname,
-  "../src/data/intelligence-packs/SCHEMA.md",
-);
-
-function getTypeDescription(prop) {
-  let type = prop.type;
-  if (Array.isArray(type)) {
-    type = type.join(" | ");
-  }
-  return type;
-}
+const rootDir = path.join(__dirname, "..");
+
+const TARGETS = [
+  {
+    title: "Intelligence Pack Schema Documentation",
+    subject: "intelligence pack",
+    schemaPath: path.join(rootDir, "src/data/intelligence-packs/schema.json"),
+    outputPath: path.join(rootDir, "src/data/intelligence-packs/SCHEMA.md"),
+    // The category enum is filled in from src/data/pack-categories.json
+    load: () => loadPackSchema(rootDir),
+    minimalExample: true,
+    validation: `All intelligence pack files are validated against this schema:
+
+- On every PR by the CI pipeline
+- At build time by \`loadAllIntelligencePacks()\` (\`npm run build\` fails on invalid packs)
+- Locally with \`npm run validate:packs\`
+
+Rules that span packs or fields (unique ids, quickstart steps, command grammar) are checked by \`npm run lint:packs\`.`,
+  },
+  {
+    title: "Roadmap Schema Documentation",
+    subject: "roadmap",
+    schemaPath: path.join(rootDir, "src/data/roadmap.schema.json"),
+    outputPath: path.join(rootDir, "src/data/ROADMAP_SCHEMA.md"),
+    load: () => ({
+      schema: JSON.parse(
+        fs.readFileSync(
+          path.join(rootDir, "src/data/roadmap.schema.json"),
+          "utf-8",
+        ),
+      ),
+    }),
+    minimalExample: false,
+    validation: `\`src/data/roadmap.json\` is validated against this schema with \`npm run validate:roadmap\`, which then checks milestone semantics (status, progress and dates, ordering, pack references) with the rules in \`scripts/lib/roadmap-rules.js\`.`,
+  },
+];
 
-function formatExamples(examples) {
-  if (!examples || !Array.isArray(examples)) return "";
-  return examples
-    .map((ex) => {
-      if (typeof ex === "string") {
-        return `\`${ex}\``;
-      }
-      return `\`${JSON.stringify(ex)}\``;
-    })
-    .join(", ");
+function code(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  // Use a longer fence when the value itself contains backticks
+  return text.includes("`") ? `\`\` ${text} \`\`` : `\`${text}\``;
 }
 
-function generatePropertyDocumentation(propName, prop, isRequired) {
-  let doc = `#### \`${propName}\`\n\n`;
-
-  doc += `**Type:** \`${getTypeDescription(prop)}\`\n`;
-  doc += `**Required:** ${isRequired ? "✅ Yes" : "❌ No"}\n\n`;
+/**
+ * GitHub-style heading anchor for a heading made of one code span
+ */
+function anchor(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9 _-]/g, "")
+    .replace(/ /g, "-");
+}
 
-  if (prop.description) {
-    doc += `${prop.description}\n\n`;
-  }
+function createRenderer(schema) {
+  const definitionsKey = schema.definitions ? "definitions" : "$defs";
+  const definitions = schema[definitionsKey] || {};
 
-  if (prop.enum) {
-    doc += `**Allowed values:**\n`;
-    prop.enum.forEach((val) => {
-      doc += `- \`${val}\`\n`;
-    });
-    doc += "\n";
+  function resolveRef(ref) {
+    const match = ref.match(/^#\/(definitions|\$defs)\/(.+)$/);
+    if (!match || !schema[match[1]]?.[match[2]]) {
+      throw new Error(`Unresolved $ref "${ref}"`);
+    }
+    return { name: match[2], definition: schema[match[1]][match[2]] };
   }
 
-  if (prop.pattern) {
-    doc += `**Pattern:** \`${prop.pattern}\`\n\n`;
-  }
+  function describeType(node) {
+    if (node.$ref) {
+      const { name } = resolveRef(node.$ref);
+      return `[${code(name)}](#${anchor(name)})`;
+    }
 
-  if (prop.minLength || prop.maxLength) {
-    const constraints = [];
-    if (prop.minLength) constraints.push(`min: ${prop.minLength}`);
-    if (prop.maxLength) constraints.push(`max: ${prop.maxLength}`);
-    doc += `**String length:** ${constraints.join(", ")}\n\n`;
-  }
+    const variants = node.oneOf || node.anyOf;
+    if (variants) {
+      return variants.map(describeType).join(" \\| ");
+    }
 
-  if (prop.minimum || prop.maximum) {
-    const constraints = [];
-    if (prop.minimum !== undefined) constraints.push(`min: ${prop.minimum}`);
-    if (prop.maximum !== undefined) constraints.push(`max: ${prop.maximum}`);
-    doc += `**Range:** ${constraints.join(", ")}\n\n`;
-  }
+    if (node.const !== undefined) return code(node.const);
 
-  if (prop.examples && prop.examples.length > 0) {
-    doc += `**Examples:**\n`;
-    const examples = formatExamples(prop.examples);
-    doc += `${examples}\n\n`;
+    const types = Array.isArray(node.type) ? node.type : [node.type];
+    return types
+      .filter(Boolean)
+      .map((type) =>
+        type === "array" && node.items ? describeArray(node.items) : code(type),
+      )
+      .join(" \\| ");
   }
 
-  if (prop.default !== undefined) {
-    doc += `**Default:** \`${JSON.stringify(prop.default)}\`\n\n`;
+  function describeArray(items) {
+    const itemType = describeType(items);
+    if (itemType.includes("\\|")) return `(${itemType})[]`;
+    // Keep simple item types inside one code span: `string[]`
+    return itemType.endsWith("`")
+      ? `${itemType.slice(0, -1)}[]\``
+      : `${itemType}[]`;
   }
 
-  return doc;
-}
+  function describeConstraints(node) {
+    const lines = [];
 
-function generateNestedObjectDocumentation(propName, prop, parentPath = "") {
-  let doc = "";
-  const fullPath = parentPath ? `${parentPath}.${propName}` : propName;
+    if (node.enum) {
+      lines.push(
+        `**Allowed values:**\n\n${node.enum.map((value) => `- ${code(value)}`).join("\n")}`,
+      );
+    }
+    if (node.pattern) lines.push(`**Pattern:** ${code(node.pattern)}`);
+    if (node.format) lines.push(`**Format:** ${code(node.format)}`);
+
+    const ranges = [
+      ["String length", node.minLength, node.maxLength],
+      ["Range", node.minimum, node.maximum],
+      ["Items", node.minItems, node.maxItems],
+    ];
+    for (const [label, min, max] of ranges) {
+      const bounds = [];
+      if (min !== undefined) bounds.push(`min: ${min}`);
+      if (max !== undefined) bounds.push(`max: ${max}`);
+      if (bounds.length > 0) lines.push(`**${label}:** ${bounds.join(", ")}`);
+    }
 
-  if (prop.type === "object") {
-    doc += `### \`${fullPath}\`\n\n`;
-    if (prop.description) {
-      doc += `${prop.description}\n\n`;
+    if (node.uniqueItems) lines.push("**Unique items:** ✅ Yes");
+    if (node.additionalProperties === false && node.properties) {
+      lines.push("**Additional properties:** ❌ Not allowed");
+    }
+    if (node.examples?.length > 0) {
+      lines.push(`**Examples:** ${node.examples.map(code).join(", ")}`);
     }
+    if (node.default !== undefined) {
+      lines.push(`**Default:** ${code(node.default)}`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Whether array items carry anything worth their own entry
+   */
+  function hasItemDetails(items) {
+    return Boolean(
+      items &&
+      !items.$ref &&
+      (items.properties ||
+        items.oneOf ||
+        items.anyOf ||
+        items.description ||
+        describeConstraints(items).length > 0),
+    );
+  }
 
-    const required = prop.required || [];
+  /**
+   * Render a field and everything below it, depth first in schema order
+   */
+  function renderField(fieldPath, node, { required, parent, note }) {
+    const sections = [];
+    const lines = [`### ${code(fieldPath)}`];
+
+    let requiredText = required ? "✅ Yes" : "❌ No";
+    if (note) {
+      requiredText = `— (${note})`;
+    } else if (required && parent?.endsWith("[]")) {
+      requiredText = `✅ Yes (in every ${code(parent)} item)`;
+    } else if (required && parent) {
+      requiredText = `✅ Yes (when ${code(parent)} is present)`;
+    }
+    lines.push(
+      `**Type:** ${describeType(node)}\n**Required:** ${requiredText}`,
+    );
+    // Fields that are only a $ref borrow the description of their definition
+    const description =
+      node.description ||
+      (node.$ref && resolveRef(node.$ref).definition.description);
+    if (description) lines.push(description);
+    lines.push(...describeConstraints(node));
+    sections.push(lines.join("\n\n"));
+
+    sections.push(...renderChildren(fieldPath, node));
+    return sections;
+  }
 
-    if (prop.properties) {
-      for (const [childName, childProp] of Object.entries(prop.properties)) {
-        const isRequired = required.includes(childName);
-        doc += generatePropertyDocumentation(childName, childProp, isRequired);
+  function renderChildren(fieldPath, node) {
+    const sections = [];
+
+    if (node.properties) {
+      const required = node.required || [];
+      for (const [key, child] of Object.entries(node.properties)) {
+        sections.push(
+          ...renderField(fieldPath ? `${fieldPath}.${key}` : key, child, {
+            required: required.includes(key),
+            parent: fieldPath,
+          }),
+        );
       }
     }
 
-    if (prop.items && prop.items.properties) {
-      doc += `#### Item Properties\n\n`;
-      for (const [itemName, itemProp] of Object.entries(
-        prop.items.properties,
-      )) {
-        const isRequired = (prop.items.required || []).includes(itemName);
-        doc += generatePropertyDocumentation(itemName, itemProp, isRequired);
+    if (node.items && hasItemDetails(node.items)) {
+      sections.push(
+        ...renderField(`${fieldPath}[]`, node.items, {
+          required: false,
+          parent: fieldPath,
+          note: "array item",
+        }),
+      );
+    }
+
+    (node.oneOf || node.anyOf || []).forEach((variant, index) => {
+      if (
+        variant.properties ||
+        variant.items ||
+        describeConstraints(variant).length > 0
+      ) {
+        sections.push(
+          ...renderField(`${fieldPath} (option ${index + 1})`, variant, {
+            required: false,
+            parent: fieldPath,
+            note: "alternative",
+          }),
+        );
       }
+    });
+
+    return sections;
+  }
+
+  function renderDefinitions() {
+    return Object.entries(definitions).flatMap(([name, definition]) => {
+      const lines = [
+        `### ${code(name)}`,
+        `**Type:** ${describeType(definition)}`,
+      ];
+      if (definition.description) lines.push(definition.description);
+      lines.push(...describeConstraints(definition));
+      return [lines.join("\n\n"), ...renderChildren(name, definition)];
+    });
+  }
+
+  function exampleValue(node) {
+    if (node.$ref) return exampleValue(resolveRef(node.$ref).definition);
+    if (node.examples?.length > 0) return node.examples[0];
+    if (node.enum?.length > 0) return node.enum[0];
+    if (node.default !== undefined) return node.default;
+    if (node.oneOf || node.anyOf)
+      return exampleValue((node.oneOf || node.anyOf)[0]);
+    if (node.properties) {
+      return Object.fromEntries(
+        (node.required || []).map((key) => [
+          key,
+          exampleValue(node.properties[key]),
+        ]),
+      );
     }
+    throw new Error(
+      `No example, enum or default to build the minimal example from: ${JSON.stringify(node)}`,
+    );
   }
 
-  return doc;
+  return {
+    fields: () => renderChildren("", schema),
+    definitions: renderDefinitions,
+    minimalExample: () => exampleValue({ ...schema, examples: undefined }),
+  };
 }
 
-function generateMarkdown(schema) {
-  let markdown = `# Intelligence Pack Schema Documentation
+function renderCategories(registry) {
+  const rows = registry.categories.map(
+    (category) =>
+      `| ${code(category.id)} | ${category.icon} ${category.label} | ${category.description} |`,
+  );
+
+  return [
+    "## Categories",
+    "Categories are defined in [`src/data/pack-categories.json`](../pack-categories.json), which also supplies their labels, icons and colors on the site. Each category with packs gets a landing page at `/intelligence-packs/category/<id>`.",
+    ["| Id | Label | Description |", "| --- | --- | --- |", ...rows].join("\n"),
+  ];
+}
 
-> **Auto-generated documentation from [\`schema.json\`](./schema.json)**
-> 
+function generateMarkdown({ schema, registry }, target) {
+  const renderer = createRenderer(schema);
+  const schemaFile = path.basename(target.schemaPath);
+  const sections = [
+    `# ${target.title}`,
+    `> **Auto-generated documentation from [${code(schemaFile)}](./${schemaFile})**
+>
 > This documentation is automatically generated and should not be manually edited.
-> Changes to intelligence pack schema should be made in \`schema.json\` and documentation should be regenerated using:
+> Changes to the ${target.subject} schema should be made in ${code(schemaFile)} and documentation should be regenerated using:
+>
 > \`\`\`bash
 > npm run generate:pack-docs
-> \`\`\`
-
-## Overview
+> \`\`\``,
+    "## Overview",
+    schema.description,
+    "## Required Fields",
+    `The following fields are mandatory for every ${target.subject} definition:`,
+    (schema.required || []).map((field) => `- ${code(field)}`).join("\n"),
+    "## Field Reference",
+    ...renderer.fields(),
+  ];
+
+  const definitions = renderer.definitions();
+  if (definitions.length > 0) {
+    sections.push(
+      "## Definitions",
+      "Shared shapes referenced with `$ref` from the fields above.",
+      ...definitions,
+    );
+  }
 
-${schema.description}
+  if (target.minimalExample) {
+    sections.push(
+      "## Minimal Example",
+      `The smallest valid ${target.subject}, with only the required fields, built from the schema examples:`,
+      `\`\`\`json\n${JSON.stringify(renderer.minimalExample(), null, 2)}\n\`\`\``,
+    );
+  }
 
-## Required Fields
+  if (registry) sections.push(...renderCategories(registry));
 
-The following fields are mandatory for every intelligence pack definition:
+  sections.push("## Validation", target.validation);
 
-`;
+  return `${sections.join("\n\n")}\n`;
+}
 
-  const required = schema.required || [];
-  required.forEach((field) => {
-    markdown += `- \`${field}\`\n`;
+async function generateTarget(target) {
+  const markdown = generateMarkdown(target.load(), target);
+  const prettierConfig =
+    (await prettier.resolveConfig(target.outputPath)) || {};
+  return prettier.format(markdown, {
+    ...prettierConfig,
+    filepath: target.outputPath,
   });
+}
 
-  markdown += `
-
-## Field Reference
-
-`;
-
-  // Generate documentation for top-level properties
-  for (const [propName, prop] of Object.entries(schema.properties)) {
-    const isRequired = required.includes(propName);
-    markdown += generatePropertyDocumentation(propName, prop, isRequired);
-
-    // Handle nested objects
-    if (prop.type === "object" && prop.properties) {
-      markdown += generateNestedObjectDocumentation(propName, prop);
+async function main() {
+  const checkMode = process.argv.includes("--check");
+  let stale = 0;
+
+  for (const target of TARGETS) {
+    const relativeOutput = path.relative(rootDir, target.outputPath);
+
+    let markdown;
+    try {
+      markdown = await generateTarget(target);
+    } catch (error) {
+      console.error(
+        `❌ Failed to generate ${relativeOutput}: ${error.message}`,
+      );
+      process.exit(1);
     }
 
-    // Handle arrays of objects
-    if (prop.type === "array" && prop.items && prop.items.properties) {
-      markdown += `### \`${propName}[]\` - Array Items\n\n`;
-      if (prop.items.description) {
-        markdown += `${prop.items.description}\n\n`;
-      }
+    if (checkMode) {
+      const current = fs.existsSync(target.outputPath)
+        ? fs.readFileSync(target.outputPath, "utf-8")
+        : "";
 
-      const itemRequired = prop.items.required || [];
-      for (const [itemName, itemProp] of Object.entries(
-        prop.items.properties,
-      )) {
-        const isRequired = itemRequired.includes(itemName);
-        markdown += generatePropertyDocumentation(
-          itemName,
-          itemProp,
-          isRequired,
+      if (current === markdown) {
+        console.log(`✅ ${relativeOutput} is up to date`);
+      } else {
+        console.error(
+          `❌ ${relativeOutput} is out of date with ${path.basename(target.schemaPath)}`,
         );
+        stale++;
       }
+      continue;
     }
-  }
 
-  markdown += `
-
-## Examples
-
-### Minimal Intelligence Pack (with only required fields)
-
-\`\`\`json
-{
-  "id": "my-pack",
-  "slug": "my-pack",
-  "name": "My Intelligence Pack",
-  "version": "1.0.0",
-  "author": "Your Name",
-  "icon": "🔌",
-  "tagline": "Brief description of what it does",
-  "description": "Longer description explaining the intelligence pack functionality",
-  "category": "productivity",
-  "status": "active"
-}
-\`\`\`
-
-### Complete Intelligence Pack Example
-
-\`\`\`json
-{
-  "id": "financial-analysis",
-  "slug": "financial",
-  "name": "Financial Analysis",
-  "version": "1.0.0",
-  "author": "Huitzo Team",
-  "icon": "💰",
-  "tagline": "Personalized market insights delivered to your inbox",
-  "description": "Get personalized financial market analysis...",
-  "category": "finance",
-  "status": "active",
-  "features": [
-    "Real-time market data",
-    "Portfolio analysis",
-    "Automated insights"
-  ],
-  "pricing": {
-    "free": {
-      "available": true,
-      "limits": "5 reports per month"
-    },
-    "pro": {
-      "price": "$10/month",
-      "features": ["Unlimited reports", "Priority support"]
-    }
-  },
-  "installation": {
-    "command": "huitzo pack install financial",
-    "requirements": ["Huitzo Core v1.0+"]
-  },
-  "quickstart": [
-    {
-      "step": 1,
-      "title": "Initialize the pack",
-      "command": "finance setup"
-    }
-  ],
-  "links": {
-    "documentation": "https://docs.example.com",
-    "repository": "https://github.com/example/pack"
+    fs.writeFileSync(target.outputPath, markdown, "utf-8");
+    console.log(`📄 Generated ${relativeOutput}`);
   }
-}
-\`\`\`
-
-## Validation
 
-All intelligence pack files are automatically validated against this schema. Validation is performed:
-
-- On every PR via GitHub Actions workflow
-- Pre-commit using the validation script
-- During local development
-
-### Running Validation Locally
-
-\`\`\`bash
-npm run validate:packs
-\`\`\`
-
-### Validation Errors
-
-If you encounter validation errors, ensure:
-
-1. All required fields are present
-2. Values match the specified types and constraints
-3. Enums only contain allowed values
-4. String lengths are within limits
-5. IDs and slugs follow the kebab-case pattern
-6. Semantic versions follow MAJOR.MINOR.PATCH format
-
-## Categories
-
-Intelligence packs must belong to one of these categories:
-
-- \`finance\` - Financial and banking integrations
-- \`analytics\` - Data analytics and reporting
-- \`automation\` - Workflow automation
-- \`integration\` - Third-party integrations
-- \`data\` - Data management and processing
-- \`communication\` - Communication tools
-- \`productivity\` - Productivity and utilities
-- \`other\` - Other categories
-
-## Status Values
-
-- \`active\` - Fully functional and supported
-- \`coming-soon\` - In development, not yet available
-- \`beta\` - Available but still undergoing testing
-- \`deprecated\` - No longer maintained, users should migrate
-- \`archived\` - Permanently retired
-
----
-
-**Last updated:** ${new Date().toISOString()}
-`;
-
-  return markdown;
-}
-
-try {
-  const schemaContent = fs.readFileSync(schemaPath, "utf-8");
-  const schema = JSON.parse(schemaContent);
-
-  const markdown = generateMarkdown(schema);
-  fs.writeFileSync(docsPath, markdown, "utf-8");
+  if (stale > 0) {
+    console.error("   Run `npm run generate:pack-docs` and commit the result.");
+    process.exit(1);
+  }
 
-  console.log(`✅ Intelligence pack documentation generated successfully!`);
-  console.log(`📄 Output: ${docsPath}`);
+  if (!checkMode) {
+    console.log(`✅ Schema documentation generated successfully!`);
+  }
   process.exit(0);
-} catch (error) {
-  console.error("❌ Error generating documentation:", error.message);
-  process.exit(1);
 }
+
+main();
@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+
+/**
+ * Generate TypeScript types for intelligence packs from schema.json
+ * schema.json (with its category enum from src/data/pack-categories.json) is the
+ * single source of truth; the generated file must not be edited by hand.
+ * Run: npm run generate:pack-types
+ * Check mode (fails when the generated file is stale): npm run check:pack-types
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import prettier from "prettier";
+import { loadPackSchema } from "./lib/pack-categories.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.join(__dirname, "..");
+const outputPath = path.join(
+  rootDir,
+  "src/utils/intelligence-packs.generated.ts",
+);
+
+const ROOT_TYPE_NAME = "IntelligencePack";
+const TYPE_MAP = {
+  string: "string",
+  integer: "number",
+  number: "number",
+  boolean: "boolean",
+  null: "null",
+};
+
+function toPascalCase(value) {
+  return value
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join("");
+}
+
+function toConstantCase(value) {
+  return value
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .replace(/[^a-zA-Z0-9]+/g, "_")
+    .toUpperCase();
+}
+
+function formatPropertyKey(key) {
+  return /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+function formatDocComment(description) {
+  if (!description) return "";
+  return `/** ${description.replace(/\*\//g, "*\\/")} */\n`;
+}
+
+function createGenerator(schema) {
+  const declarations = [];
+  const enums = [];
+
+  function resolveRef(ref) {
+    const match = ref.match(/^#\/(definitions|\$defs)\/(.+)$/);
+    if (!match) {
+      throw new Error(`Unsupported $ref "${ref}"`);
+    }
+    const definition = schema[match[1]]?.[match[2]];
+    if (!definition) {
+      throw new Error(`Unresolved $ref "${ref}"`);
+    }
+    return { name: `${ROOT_TYPE_NAME}${toPascalCase(match[2])}`, definition };
+  }
+
+  const emittedRefs = new Set();
+
+  function typeFor(node, typeName) {
+    if (node.$ref) {
+      const { name, definition } = resolveRef(node.$ref);
+      if (!emittedRefs.has(name)) {
+        emittedRefs.add(name);
+        // Enum definitions become a values constant plus a union type
+        if (definition.enum) {
+          enums.push({ typeName: name, values: definition.enum });
+        } else {
+          declarations.push(declare(name, definition));
+        }
+      }
+      return name;
+    }
+
+    const variants = node.oneOf || node.anyOf;
+    if (variants) {
+      return variants
+        .map((variant, index) => typeFor(variant, `${typeName}${index + 1}`))
+        .join(" | ");
+    }
+
+    if (node.const !== undefined) {
+      return JSON.stringify(node.const);
+    }
+
+    if (node.enum) {
+      enums.push({ typeName, values: node.enum });
+      return typeName;
+    }
+
+    const type = Array.isArray(node.type) ? node.type : [node.type];
+
+    return type
+      .map((single) => {
+        if (single === "object") return objectType(node, typeName);
+        if (single === "array") return arrayType(node, typeName);
+        if (TYPE_MAP[single]) return TYPE_MAP[single];
+        return "unknown";
+      })
+      .join(" | ");
+  }
+
+  function objectType(node, typeName) {
+    if (!node.properties) {
+      return "Record<string, unknown>";
+    }
+
+    const required = new Set(node.required || []);
+    const members = Object.entries(node.properties).map(([key, child]) => {
+      const optional = required.has(key) ? "" : "?";
+      const childType = typeFor(child, `${typeName}${toPascalCase(key)}`);
+      // Properties that are only a $ref borrow the description of their definition
+      const description =
+        child.description ||
+        (child.$ref && resolveRef(child.$ref).definition.description);
+      return `${formatDocComment(description)}${formatPropertyKey(key)}${optional}: ${childType};`;
+    });
+
+    return `{\n${members.join("\n")}\n}`;
+  }
+
+  function arrayType(node, typeName) {
+    if (!node.items) return "unknown[]";
+    const itemType = typeFor(node.items, `${typeName}Item`);
+    return /^[A-Za-z]+$/.test(itemType)
+      ? `${itemType}[]`
+      : `Array<${itemType}>`;
+  }
+
+  function declare(name, node) {
+    const body = typeFor(node, name);
+    const doc = formatDocComment(node.description);
+    return body.startsWith("{")
+      ? `${doc}export interface ${name} ${body}`
+      : `${doc}export type ${name} = ${body};`;
+  }
+
+  return {
+    generate() {
+      const root = declare(ROOT_TYPE_NAME, schema);
+
+      const enumDeclarations = enums.map(({ typeName, values }) => {
+        const constantName = `${toConstantCase(typeName)}_VALUES`;
+        return [
+          `export const ${constantName} = ${JSON.stringify(values)} as const;`,
+          `export type ${typeName} = (typeof ${constantName})[number];`,
+        ].join("\n");
+      });
+
+      return [...enumDeclarations, ...declarations, root].join("\n\n");
+    },
+  };
+}
+
+async function generateSource(schema) {
+  const header = `/**
+ * Intelligence pack types generated from src/data/intelligence-packs/schema.json
+ * and src/data/pack-categories.json
+ * Do not edit by hand. Regenerate with: npm run generate:pack-types
+ */`;
+
+  const source = `${header}\n\n${createGenerator(schema).generate()}\n`;
+  const prettierConfig = (await prettier.resolveConfig(outputPath)) || {};
+  return prettier.format(source, { ...prettierConfig, filepath: outputPath });
+}
+
+async function main() {
+  const checkMode = process.argv.includes("--check");
+
+  let schema;
+  try {
+    ({ schema } = loadPackSchema(rootDir));
+  } catch (error) {
+    console.error(`❌ Failed to load schema: ${error.message}`);
+    process.exit(1);
+  }
+
+  let source;
+  try {
+    source = await generateSource(schema);
+  } catch (error) {
+    console.error(`❌ Failed to generate types: ${error.message}`);
+    process.exit(1);
+  }
+
+  const relativeOutput = path.relative(rootDir, outputPath);
+
+  if (checkMode) {
+    const current = fs.existsSync(outputPath)
+      ? fs.readFileSync(outputPath, "utf-8")
+      : "";
+
+    if (current !== source) {
+      console.error(
+        `❌ ${relativeOutput} is out of date with schema.json or pack-categories.json`,
+      );
+      console.error(
+        "   Run `npm run generate:pack-types` and commit the result.",
+      );
+      process.exit(1);
+    }
+
+    console.log(`✅ ${relativeOutput} is up to date`);
+    process.exit(0);
+  }
+
+  fs.writeFileSync(outputPath, source, "utf-8");
+  console.log(`✅ Intelligence pack types generated successfully!`);
+  console.log(`📄 Output: ${relativeOutput}`);
+  process.exit(0);
+}
+
+main();
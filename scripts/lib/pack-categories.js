@@ -0,0 +1,87 @@
+/**
+ * Intelligence pack category registry
+ * src/data/pack-categories.json is the single list of pack categories. The
+ * `category` enum of schema.json is filled in from it, so validation, the
+ * generated types and SCHEMA.md follow the registry, and the site reads
+ * category labels, icons and colors from the same file.
+ */
+
+import fs from "fs";
+import path from "path";
+
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const REQUIRED_FIELDS = ["id", "label", "description", "icon", "color"];
+const COLOR_TOKENS = ["badge", "accent", "hover"];
+
+/**
+ * Check the registry shape. Returns a list of errors (empty when valid).
+ */
+export function checkCategoryRegistry(registry) {
+  if (!Array.isArray(registry?.categories) || !registry.categories.length) {
+    return ["`categories` must be a non-empty array"];
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  registry.categories.forEach((category, index) => {
+    const where = `/categories/${index}`;
+
+    for (const field of REQUIRED_FIELDS) {
+      if (!category[field]) errors.push(`${where}: missing "${field}"`);
+    }
+    for (const token of COLOR_TOKENS) {
+      if (category.color && !category.color[token]) {
+        errors.push(`${where}/color: missing "${token}"`);
+      }
+    }
+    if (category.id && !ID_PATTERN.test(category.id)) {
+      errors.push(`${where}/id: "${category.id}" is not kebab-case`);
+    }
+    if (seen.has(category.id)) {
+      errors.push(`${where}/id: duplicate category "${category.id}"`);
+    }
+    seen.add(category.id);
+  });
+
+  return errors;
+}
+
+/**
+ * Copy of the pack schema with the `category` enum taken from the registry.
+ * Throws when the registry is invalid.
+ */
+export function applyCategoryRegistry(schema, registry) {
+  const errors = checkCategoryRegistry(registry);
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid pack category registry:\n  - ${errors.join("\n  - ")}`,
+    );
+  }
+
+  const result = structuredClone(schema);
+  result.properties.category.enum = registry.categories.map(
+    (category) => category.id,
+  );
+  return result;
+}
+
+/**
+ * Read schema.json and the category registry from disk (for scripts)
+ */
+export function loadPackSchema(rootDir) {
+  const schema = JSON.parse(
+    fs.readFileSync(
+      path.join(rootDir, "src/data/intelligence-packs/schema.json"),
+      "utf-8",
+    ),
+  );
+  const registry = JSON.parse(
+    fs.readFileSync(
+      path.join(rootDir, "src/data/pack-categories.json"),
+      "utf-8",
+    ),
+  );
+
+  return { schema: applyCategoryRegistry(schema, registry), registry };
+}
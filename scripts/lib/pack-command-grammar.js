@@ -0,0 +1,240 @@
+/**
+ * Command grammar for intelligence pack commands
+ * Parses command lines (quickstart steps, usage examples) against the
+ * structured `commands[]` declarations in a pack and formats command lines
+ * from values, so the linter and the pack page command builder agree.
+ *
+ * A command line is `<name> [arguments...] [--flag=value | --flag value | --flag]...`
+ * where `<name>` is a declared command name or alias, either dotted
+ * (`design.ui.generate`) or space-separated (`finance watchlist add`).
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+const INTEGER_PATTERN = /^-?\d+$/;
+
+/**
+ * Split a command line into tokens, honouring single and double quotes
+ * (with backslash escapes inside double quotes). Throws on an unterminated quote.
+ */
+export function tokenizeCommandLine(line) {
+  const tokens = [];
+  const chars = [...line.trim()];
+  let current = "";
+  let quote = null;
+  let hasToken = false;
+
+  for (let index = 0; index < chars.length; index++) {
+    const char = chars[index];
+
+    if (quote) {
+      if (quote === '"' && char === "\\" && index + 1 < chars.length) {
+        current += chars[++index];
+      } else if (char === quote) {
+        quote = null;
+      } else {
+        current += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      hasToken = true;
+    } else if (/\s/.test(char)) {
+      if (hasToken) tokens.push(current);
+      current = "";
+      hasToken = false;
+    } else {
+      current += char;
+      hasToken = true;
+    }
+  }
+
+  if (quote) {
+    throw new Error(`Unterminated ${quote} quote`);
+  }
+  if (hasToken) tokens.push(current);
+
+  return tokens;
+}
+
+/**
+ * Every invocation of a command (its name and aliases) as token lists
+ */
+function getInvocations(command) {
+  return [command.name, ...(command.aliases || [])].map((invocation) =>
+    invocation.trim().split(/\s+/),
+  );
+}
+
+/**
+ * Find the declared command a token list starts with (longest match wins)
+ */
+function matchCommand(tokens, commands) {
+  let best = null;
+
+  for (const command of commands) {
+    for (const invocation of getInvocations(command)) {
+      const matches = invocation.every((part, index) => tokens[index] === part);
+      if (matches && (!best || invocation.length > best.length)) {
+        best = { command, length: invocation.length };
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Check a raw string value against a parameter declaration.
+ * Returns an error message or null.
+ */
+export function checkParameterValue(parameter, value) {
+  const { type = "string" } = parameter;
+
+  if (type === "boolean" && value !== "true" && value !== "false") {
+    return `expects true or false, got "${value}"`;
+  }
+  if (type === "number" && !NUMBER_PATTERN.test(value)) {
+    return `expects a number, got "${value}"`;
+  }
+  if (type === "integer" && !INTEGER_PATTERN.test(value)) {
+    return `expects an integer, got "${value}"`;
+  }
+  if (type === "date" && !DATE_PATTERN.test(value)) {
+    return `expects a YYYY-MM-DD date, got "${value}"`;
+  }
+  if (parameter.enum && !parameter.enum.map(String).includes(String(value))) {
+    return `must be one of ${parameter.enum.join(", ")}, got "${value}"`;
+  }
+
+  return null;
+}
+
+/**
+ * Parse a command line against a pack's declared commands.
+ * Returns { command, arguments, flags, errors } where `command` is the matched
+ * declaration (or null) and `errors` lists every problem found.
+ */
+export function parseCommandLine(line, commands = []) {
+  const result = { command: null, arguments: {}, flags: {}, errors: [] };
+
+  let tokens;
+  try {
+    tokens = tokenizeCommandLine(line);
+  } catch (error) {
+    result.errors.push(error.message);
+    return result;
+  }
+
+  const match = matchCommand(tokens, commands);
+  if (!match) {
+    result.errors.push(
+      `Unknown command "${tokens.slice(0, 3).join(" ")}" (declared: ${
+        commands.map((command) => command.name).join(", ") || "none"
+      })`,
+    );
+    return result;
+  }
+
+  const { command } = match;
+  const flags = command.flags || [];
+  const positionals = command.arguments || [];
+  const rest = tokens.slice(match.length);
+  result.command = command;
+
+  for (let index = 0; index < rest.length; index++) {
+    const token = rest[index];
+
+    if (!token.startsWith("--")) {
+      const parameter = positionals[Object.keys(result.arguments).length];
+      if (!parameter) {
+        result.errors.push(`Unexpected argument "${token}"`);
+        continue;
+      }
+      const error = checkParameterValue(parameter, token);
+      if (error) result.errors.push(`Argument <${parameter.name}> ${error}`);
+      result.arguments[parameter.name] = token;
+      continue;
+    }
+
+    const [flagName, ...valueParts] = token.slice(2).split("=");
+    const flag = flags.find((candidate) => candidate.name === flagName);
+
+    if (!flag) {
+      result.errors.push(
+        `Unknown flag --${flagName} for "${command.name}"${
+          flags.length
+            ? ` (flags: ${flags.map((f) => `--${f.name}`).join(", ")})`
+            : " (takes no flags)"
+        }`,
+      );
+      continue;
+    }
+    if (flagName in result.flags) {
+      result.errors.push(`Flag --${flagName} is given more than once`);
+    }
+
+    let value;
+    if (valueParts.length > 0) {
+      value = valueParts.join("=");
+    } else if (flag.type === "boolean") {
+      value = "true";
+    } else if (index + 1 < rest.length && !rest[index + 1].startsWith("--")) {
+      value = rest[++index];
+    } else {
+      result.errors.push(`Flag --${flagName} expects a value`);
+      continue;
+    }
+
+    const error = checkParameterValue(flag, value);
+    if (error) result.errors.push(`Flag --${flagName} ${error}`);
+    result.flags[flagName] = value;
+  }
+
+  positionals
+    .filter((parameter) => parameter.required)
+    .filter((parameter) => !(parameter.name in result.arguments))
+    .forEach((parameter) =>
+      result.errors.push(`Missing required argument <${parameter.name}>`),
+    );
+  flags
+    .filter((flag) => flag.required)
+    .filter((flag) => !(flag.name in result.flags))
+    .forEach((flag) =>
+      result.errors.push(`Missing required flag --${flag.name}`),
+    );
+
+  return result;
+}
+
+function quoteValue(value) {
+  const text = String(value);
+  return /^[A-Za-z0-9_@%+=:,./-]+$/.test(text)
+    ? text
+    : `"${text.replace(/(["\\$`])/g, "\\$1")}"`;
+}
+
+/**
+ * Assemble a command line from argument and flag values.
+ * Empty values are skipped; boolean flags are emitted bare when true.
+ */
+export function formatCommandLine(command, values = {}) {
+  const parts = [command.name];
+
+  for (const parameter of command.arguments || []) {
+    const value = values.arguments?.[parameter.name];
+    if (value !== undefined && value !== "") parts.push(quoteValue(value));
+  }
+
+  for (const flag of command.flags || []) {
+    const value = values.flags?.[flag.name];
+    if (value === undefined || value === "") continue;
+
+    if (flag.type === "boolean") {
+      if (String(value) === "true") parts.push(`--${flag.name}`);
+    } else {
+      parts.push(`--${flag.name}=${quoteValue(value)}`);
+    }
+  }
+
+  return parts.join(" ");
+}
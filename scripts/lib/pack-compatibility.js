@@ -0,0 +1,298 @@
+/**
+ * Intelligence pack compatibility
+ * Packs declare the Huitzo Core versions they install on as a semver range
+ * (`installation.core`) and the packs they need as `installation.dependencies`.
+ * This module parses those ranges, walks the dependency graph and checks the
+ * registry of Huitzo Core releases in src/data/core-releases.json.
+ *
+ * Ranges follow npm's syntax: comparators (`>=0.1.0 <1.0.0`), caret (`^0.2.0`),
+ * tilde (`~1.2`), x-ranges (`1.x`, `*`), hyphen ranges (`0.1.0 - 0.3.0`) and
+ * `||` between alternatives.
+ */
+
+import fs from "fs";
+import path from "path";
+import { compareVersions } from "./pack-version-diff.js";
+
+export const CORE_RELEASE_STATUSES = ["released", "planned"];
+
+const PARTIAL_VERSION =
+  /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const FULL_VERSION = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?$/;
+const COMPARATOR = /^(<=|>=|<|>|=|\^|~)?(.+)$/;
+const HYPHEN_RANGE = /^(\S+)\s+-\s+(\S+)$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * "1.x" → { major: 1, minor: null, patch: null, prerelease: "" }; null when
+ * the text is not a (partial) version. Wildcards may only trail.
+ */
+function parsePartial(text) {
+  const match = PARTIAL_VERSION.exec(text);
+  if (!match) return null;
+
+  const parts = match
+    .slice(1, 4)
+    .map((part) =>
+      part === undefined || /^[xX*]$/.test(part) ? null : Number(part),
+    );
+  const firstWildcard = parts.indexOf(null);
+  if (
+    firstWildcard !== -1 &&
+    parts.slice(firstWildcard).some((part) => part !== null)
+  ) {
+    return null;
+  }
+
+  const [major, minor, patch] = parts;
+  const prerelease = match[4] || "";
+  if (prerelease && patch === null) return null;
+
+  return { major, minor, patch, prerelease };
+}
+
+function format(major, minor, patch, prerelease = "") {
+  return `${major}.${minor}.${patch}${prerelease ? `-${prerelease}` : ""}`;
+}
+
+/**
+ * Plain comparators ({ operator, version } with <, <=, >, >= or =) for one
+ * range term; null when the term does not parse
+ */
+function desugar(operator, text) {
+  const partial = parsePartial(text);
+  if (!partial) return null;
+
+  const { major, minor, patch, prerelease } = partial;
+  if (major === null) return [];
+
+  const isFull = minor !== null && patch !== null;
+  const lower = format(major, minor ?? 0, patch ?? 0, prerelease);
+  // "-0" is the lowest prerelease, so `<2.0.0-0` also excludes 2.0.0-beta
+  const nextMinor =
+    minor === null ? format(major + 1, 0, 0) : format(major, minor + 1, 0);
+
+  switch (operator) {
+    case "":
+    case "=":
+      return isFull
+        ? [{ operator: "=", version: lower }]
+        : [
+            { operator: ">=", version: lower },
+            { operator: "<", version: `${nextMinor}-0` },
+          ];
+    case ">=":
+      return [{ operator: ">=", version: lower }];
+    case ">":
+      return isFull
+        ? [{ operator: ">", version: lower }]
+        : [{ operator: ">=", version: nextMinor }];
+    case "<":
+      return [{ operator: "<", version: isFull ? lower : `${lower}-0` }];
+    case "<=":
+      return isFull
+        ? [{ operator: "<=", version: lower }]
+        : [{ operator: "<", version: `${nextMinor}-0` }];
+    case "~":
+      return [
+        { operator: ">=", version: lower },
+        { operator: "<", version: `${nextMinor}-0` },
+      ];
+    case "^": {
+      let upper;
+      if (major > 0 || minor === null) {
+        upper = format(major + 1, 0, 0);
+      } else if (minor > 0 || patch === null) {
+        upper = format(0, minor + 1, 0);
+      } else {
+        upper = format(0, 0, patch + 1);
+      }
+      return [
+        { operator: ">=", version: lower },
+        { operator: "<", version: `${upper}-0` },
+      ];
+    }
+    default:
+      return null;
+  }
+}
+
+function parseComparatorSet(text) {
+  const set = text.trim();
+  if (set === "") return [];
+
+  const hyphen = HYPHEN_RANGE.exec(set);
+  if (hyphen) {
+    const from = desugar(">=", hyphen[1]);
+    const to = desugar("<=", hyphen[2]);
+    return from && to ? [...from, ...to] : null;
+  }
+
+  const comparators = [];
+  // Allow a space between an operator and its version: ">= 0.1.0"
+  const terms = set.replace(/(<=|>=|<|>|=|\^|~)\s+/g, "$1").split(/\s+/);
+  for (const term of terms) {
+    const [, operator = "", version] = COMPARATOR.exec(term);
+    const result = desugar(operator, version);
+    if (!result) return null;
+    comparators.push(...result);
+  }
+  return comparators;
+}
+
+/**
+ * Parse a semver range into its alternatives, each a list of
+ * { operator, version } comparators that must all hold. An empty list
+ * matches every version. Returns null when the range does not parse.
+ */
+export function parseRange(range) {
+  if (typeof range !== "string" || range.trim() === "") return null;
+
+  const sets = range.split("||");
+  if (sets.length > 1 && sets.some((set) => set.trim() === "")) return null;
+
+  const alternatives = sets.map(parseComparatorSet);
+  return alternatives.includes(null) ? null : alternatives;
+}
+
+export function isValidRange(range) {
+  return parseRange(range) !== null;
+}
+
+function test({ operator, version }, candidate) {
+  const order = compareVersions(candidate, version);
+  switch (operator) {
+    case "<":
+      return order < 0;
+    case "<=":
+      return order <= 0;
+    case ">":
+      return order > 0;
+    case ">=":
+      return order >= 0;
+    default:
+      return order === 0;
+  }
+}
+
+/**
+ * Whether a version is in a range (false when either does not parse)
+ */
+export function satisfies(version, range) {
+  const alternatives = parseRange(range);
+  if (!alternatives || !FULL_VERSION.test(version || "")) return false;
+
+  return alternatives.some((comparators) =>
+    comparators.every((comparator) => test(comparator, version)),
+  );
+}
+
+/**
+ * Ids of the packs a pack depends on, in declaration order
+ */
+export function getDependencyIds(pack) {
+  return (pack.installation?.dependencies || []).map(
+    (dependency) => dependency.id,
+  );
+}
+
+/**
+ * Dependency cycles in a graph of pack id → dependency ids. Each cycle is
+ * listed once, as the ids along it starting from the smallest, e.g.
+ * ["a", "b"] for a → b → a. Edges to unknown ids are ignored.
+ */
+export function findDependencyCycles(graph) {
+  const cycles = [];
+  const seen = new Set();
+  const state = new Map();
+  const stack = [];
+
+  function visit(id) {
+    state.set(id, "visiting");
+    stack.push(id);
+
+    for (const next of graph.get(id) || []) {
+      if (!graph.has(next)) continue;
+
+      if (state.get(next) === "visiting") {
+        const cycle = stack.slice(stack.indexOf(next));
+        const start = cycle.indexOf([...cycle].sort()[0]);
+        const rotated = [...cycle.slice(start), ...cycle.slice(0, start)];
+        const key = rotated.join(" ");
+        if (!seen.has(key)) {
+          seen.add(key);
+          cycles.push(rotated);
+        }
+      } else if (!state.has(next)) {
+        visit(next);
+      }
+    }
+
+    stack.pop();
+    state.set(id, "done");
+  }
+
+  [...graph.keys()].sort().forEach((id) => {
+    if (!state.has(id)) visit(id);
+  });
+
+  return cycles;
+}
+
+/**
+ * Check the Huitzo Core release registry. Returns a list of errors (empty
+ * when valid).
+ */
+export function checkCoreReleases(registry) {
+  if (!Array.isArray(registry?.releases) || !registry.releases.length) {
+    return ["`releases` must be a non-empty array"];
+  }
+
+  const errors = [];
+  registry.releases.forEach((release, index) => {
+    const where = `/releases/${index}`;
+
+    if (!FULL_VERSION.test(release.version || "")) {
+      errors.push(`${where}/version: "${release.version}" is not a version`);
+      return;
+    }
+    if (!CORE_RELEASE_STATUSES.includes(release.status)) {
+      errors.push(
+        `${where}/status: must be one of ${CORE_RELEASE_STATUSES.join(", ")}`,
+      );
+    }
+    if (release.date !== undefined && !DATE.test(release.date)) {
+      errors.push(`${where}/date: "${release.date}" is not YYYY-MM-DD`);
+    }
+    if (release.status === "released" && !release.date) {
+      errors.push(`${where}: released versions need a "date"`);
+    }
+
+    const previous = registry.releases[index - 1];
+    if (previous && compareVersions(previous.version, release.version) >= 0) {
+      errors.push(
+        `${where}/version: ${release.version} is listed after ${previous.version}; list releases oldest first without repeats`,
+      );
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Read the Huitzo Core release registry from disk (for scripts). Throws when
+ * it is invalid.
+ */
+export function loadCoreReleases(rootDir) {
+  const registry = JSON.parse(
+    fs.readFileSync(path.join(rootDir, "src/data/core-releases.json"), "utf-8"),
+  );
+
+  const errors = checkCoreReleases(registry);
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid Huitzo Core release registry:\n  - ${errors.join("\n  - ")}`,
+    );
+  }
+  return registry;
+}
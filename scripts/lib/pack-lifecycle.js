@@ -0,0 +1,28 @@
+/**
+ * Intelligence pack lifecycle helpers
+ * Shared by the lint rules and astro.config.ts, which keeps archived packs and
+ * redirect pages for renamed slugs out of the sitemap.
+ */
+
+/** Statuses that may carry `lifecycle` metadata */
+export const RETIRED_STATUSES = ["deprecated", "archived"];
+
+/**
+ * Route segments under /intelligence-packs that a pack slug must not take
+ */
+export const RESERVED_PACK_SLUGS = [
+  "category",
+  "compare",
+  "compatibility",
+  "pricing",
+];
+
+/**
+ * Slugs whose pages should not be listed: archived packs and renamed slugs
+ */
+export function getUnlistedPackSlugs(packs) {
+  return packs.flatMap((pack) => [
+    ...(pack.status === "archived" ? [pack.slug] : []),
+    ...(pack.previousSlugs || []),
+  ]);
+}
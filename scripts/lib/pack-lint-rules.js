@@ -0,0 +1,511 @@
+/**
+ * Semantic lint rules for intelligence packs
+ * Each rule looks across every pack file and reports problems that JSON Schema
+ * cannot express (uniqueness, ordering, cross-field references).
+ *
+ * A rule is { id, description, defaultSeverity, defaultOptions, check(context) }.
+ * `check` receives { packs, options, report } where `packs` is an array of
+ * { file, data } and `report({ file, path, message })` records a finding.
+ */
+
+import { parseCommandLine } from "./pack-command-grammar.js";
+import {
+  findDependencyCycles,
+  getDependencyIds,
+} from "./pack-compatibility.js";
+import { RESERVED_PACK_SLUGS, RETIRED_STATUSES } from "./pack-lifecycle.js";
+import { compareVersions } from "./pack-version-diff.js";
+
+export const CANONICAL_INSTALL_PREFIX = "huitzo intelligence pack install";
+
+function normalizeCommand(command) {
+  return command.trim().replace(/\s+/g, " ");
+}
+
+function findDuplicates(packs, field) {
+  const seen = new Map();
+  const duplicates = [];
+
+  packs.forEach((pack) => {
+    const value = pack.data[field];
+    if (typeof value !== "string") return;
+
+    if (seen.has(value)) {
+      duplicates.push({ pack, value, first: seen.get(value) });
+    } else {
+      seen.set(value, pack);
+    }
+  });
+
+  return duplicates;
+}
+
+const uniqueId = {
+  id: "unique-id",
+  description: "Every pack must have a unique `id`",
+  defaultSeverity: "error",
+  check({ packs, report }) {
+    findDuplicates(packs, "id").forEach(({ pack, value, first }) => {
+      report({
+        file: pack.file,
+        path: "/id",
+        message: `Duplicate id "${value}" (already used by ${first.file})`,
+      });
+    });
+  },
+};
+
+const uniqueSlug = {
+  id: "unique-slug",
+  description:
+    "Every pack must have a unique `slug` that is not a reserved route",
+  defaultSeverity: "error",
+  check({ packs, report }) {
+    findDuplicates(packs, "slug").forEach(({ pack, value, first }) => {
+      report({
+        file: pack.file,
+        path: "/slug",
+        message: `Duplicate slug "${value}" (already used by ${first.file})`,
+      });
+    });
+    packs
+      .filter((pack) => RESERVED_PACK_SLUGS.includes(pack.data.slug))
+      .forEach((pack) => {
+        report({
+          file: pack.file,
+          path: "/slug",
+          message: `"${pack.data.slug}" is a reserved route under /intelligence-packs`,
+        });
+      });
+  },
+};
+
+const quickstartStepSequence = {
+  id: "quickstart-step-sequence",
+  description: "Quickstart steps must be numbered 1, 2, 3... without gaps",
+  defaultSeverity: "error",
+  check({ packs, report }) {
+    packs.forEach(({ file, data }) => {
+      if (!Array.isArray(data.quickstart)) return;
+
+      data.quickstart.forEach((item, index) => {
+        const expected = index + 1;
+        if (item.step === expected) return;
+
+        const repeated = data.quickstart
+          .slice(0, index)
+          .some((previous) => previous.step === item.step);
+
+        report({
+          file,
+          path: `/quickstart/${index}/step`,
+          message: repeated
+            ? `Step ${item.step} is repeated (expected ${expected})`
+            : `Step ${item.step} is out of sequence (expected ${expected})`,
+        });
+      });
+    });
+  },
+};
+
+const commandGrammar = {
+  id: "command-grammar",
+  description:
+    "Quickstart commands, demo commands and `usage` examples must parse against the declared command grammar",
+  defaultSeverity: "error",
+  check({ packs, report }) {
+    packs.forEach(({ file, data }) => {
+      const commands = Array.isArray(data.commands) ? data.commands : [];
+      const examples = [
+        ...(data.quickstart || []).map((item, index) => ({
+          line: item.command,
+          path: `/quickstart/${index}/command`,
+        })),
+        ...commands
+          .map((command, index) => ({
+            line: command.usage,
+            path: `/commands/${index}/usage`,
+          }))
+          .filter(({ line }) => typeof line === "string"),
+        ...(data.demos || []).flatMap((demo, demoIndex) =>
+          (demo.steps || []).map((step, stepIndex) => ({
+            line: step.command,
+            path: `/demos/${demoIndex}/steps/${stepIndex}/command`,
+          })),
+        ),
+      ];
+
+      examples.forEach(({ line, path }) => {
+        const { errors } = parseCommandLine(line, commands);
+        if (errors.length > 0) {
+          report({ file, path, message: `"${line}": ${errors.join("; ")}` });
+        }
+      });
+    });
+  },
+};
+
+const installationCommandVerb = {
+  id: "installation-command-verb",
+  description: "Installation commands must use the canonical install verb",
+  defaultSeverity: "error",
+  defaultOptions: { prefix: CANONICAL_INSTALL_PREFIX },
+  check({ packs, options, report }) {
+    const prefix = normalizeCommand(options.prefix);
+
+    packs.forEach(({ file, data }) => {
+      if (!data.installation || typeof data.installation.command !== "string") {
+        return;
+      }
+
+      const command = normalizeCommand(data.installation.command);
+      if (!command.startsWith(`${prefix} `)) {
+        report({
+          file,
+          path: "/installation/command",
+          message: `"${data.installation.command}" should start with "${prefix}"`,
+        });
+      }
+    });
+  },
+};
+
+const lifecycleReferences = {
+  id: "lifecycle-references",
+  description:
+    "`lifecycle` is only set on deprecated or archived packs and `replacedBy` names another live pack",
+  defaultSeverity: "error",
+  check({ packs, report }) {
+    const packsById = new Map(packs.map((pack) => [pack.data.id, pack]));
+
+    packs.forEach(({ file, data }) => {
+      if (!data.lifecycle) return;
+
+      if (!RETIRED_STATUSES.includes(data.status)) {
+        report({
+          file,
+          path: "/lifecycle",
+          message: `"lifecycle" is set on a pack with status "${data.status}"; set status to ${RETIRED_STATUSES.join(" or ")} or remove it`,
+        });
+      }
+
+      const { replacedBy } = data.lifecycle;
+      if (replacedBy === undefined) return;
+
+      const replacement = packsById.get(replacedBy);
+      if (replacedBy === data.id) {
+        report({
+          file,
+          path: "/lifecycle/replacedBy",
+          message: "A pack cannot replace itself",
+        });
+      } else if (!replacement) {
+        // A common mistake is using the slug (file name) instead of the id
+        const bySlug = packs.find((pack) => pack.data.slug === replacedBy);
+        report({
+          file,
+          path: "/lifecycle/replacedBy",
+          message: bySlug
+            ? `"${replacedBy}" is a pack slug; use its id "${bySlug.data.id}" (${bySlug.file})`
+            : `Unknown pack id "${replacedBy}"`,
+        });
+      } else if (RETIRED_STATUSES.includes(replacement.data.status)) {
+        report({
+          file,
+          path: "/lifecycle/replacedBy",
+          message: `Replacement "${replacedBy}" is ${replacement.data.status} itself; point to a live pack`,
+        });
+      }
+    });
+  },
+};
+
+const previousSlugsUnique = {
+  id: "previous-slugs-unique",
+  description:
+    "`previousSlugs` do not clash with current slugs, other renames or reserved routes",
+  defaultSeverity: "error",
+  check({ packs, report }) {
+    const currentSlugs = new Map(packs.map((pack) => [pack.data.slug, pack]));
+    const claimed = new Map();
+
+    packs.forEach((pack) => {
+      (pack.data.previousSlugs || []).forEach((slug, index) => {
+        const path = `/previousSlugs/${index}`;
+        const current = currentSlugs.get(slug);
+
+        if (current) {
+          report({
+            file: pack.file,
+            path,
+            message:
+              current === pack
+                ? `"${slug}" is the pack's current slug`
+                : `"${slug}" is the current slug of ${current.file}`,
+          });
+        } else if (RESERVED_PACK_SLUGS.includes(slug)) {
+          report({
+            file: pack.file,
+            path,
+            message: `"${slug}" is a reserved route under /intelligence-packs`,
+          });
+        } else if (claimed.has(slug)) {
+          report({
+            file: pack.file,
+            path,
+            message: `"${slug}" already redirects to ${claimed.get(slug).file}`,
+          });
+        } else {
+          claimed.set(slug, pack);
+        }
+      });
+    });
+  },
+};
+
+const changelogOrder = {
+  id: "changelog-order",
+  description:
+    "`changelog` is newest first, starts at the pack's `version` and ends at its current `status`",
+  defaultSeverity: "error",
+  check({ packs, report }) {
+    packs.forEach(({ file, data }) => {
+      const entries = data.changelog || [];
+      if (entries.length === 0) return;
+
+      if (entries[0].version !== data.version) {
+        report({
+          file,
+          path: "/changelog/0/version",
+          message: `Latest release is ${entries[0].version} but the pack version is ${data.version}; add a changelog entry for ${data.version}`,
+        });
+      }
+
+      entries.slice(1).forEach((entry, offset) => {
+        const index = offset + 1;
+        const newer = entries[offset];
+        const order = compareVersions(newer.version, entry.version);
+
+        if (order === 0) {
+          report({
+            file,
+            path: `/changelog/${index}/version`,
+            message: `Version ${entry.version} is listed more than once`,
+          });
+        } else if (order < 0) {
+          report({
+            file,
+            path: `/changelog/${index}/version`,
+            message: `${entry.version} is listed after ${newer.version}; list releases newest first`,
+          });
+        } else if (entry.date > newer.date) {
+          report({
+            file,
+            path: `/changelog/${index}/date`,
+            message: `${entry.version} is dated ${entry.date}, after the newer ${newer.version} (${newer.date})`,
+          });
+        }
+      });
+
+      const latestStatus = entries.find((entry) => entry.status)?.status;
+      if (latestStatus && latestStatus !== data.status) {
+        report({
+          file,
+          path: "/status",
+          message: `The changelog last moved the pack to "${latestStatus}" but its status is "${data.status}"; record the status change in a changelog entry`,
+        });
+      }
+    });
+  },
+};
+
+const pricingTiers = {
+  id: "pricing-tiers",
+  description:
+    "Pricing tier ids and limit metrics are unique, available tiers have a price and at most one tier is highlighted",
+  defaultSeverity: "error",
+  check({ packs, report }) {
+    packs.forEach(({ file, data }) => {
+      const tiers = data.pricing?.tiers || [];
+      const tierIds = new Set();
+      const metricLabels = new Map();
+
+      tiers.forEach((tier, index) => {
+        const path = `/pricing/tiers/${index}`;
+
+        if (tierIds.has(tier.id)) {
+          report({
+            file,
+            path: `${path}/id`,
+            message: `Duplicate tier id "${tier.id}"`,
+          });
+        }
+        tierIds.add(tier.id);
+
+        if (tier.availability === "available" && !tier.price) {
+          report({
+            file,
+            path,
+            message: `Tier "${tier.id}" is available but has no price; set price.amount (0 for a free tier)`,
+          });
+        }
+
+        const metrics = new Set();
+        (tier.limits || []).forEach((limit, limitIndex) => {
+          const limitPath = `${path}/limits/${limitIndex}`;
+          if (metrics.has(limit.metric)) {
+            report({
+              file,
+              path: `${limitPath}/metric`,
+              message: `Tier "${tier.id}" limits "${limit.metric}" more than once`,
+            });
+          }
+          metrics.add(limit.metric);
+
+          // The comparison table shows one label per metric
+          const label = metricLabels.get(limit.metric);
+          if (label === undefined) {
+            metricLabels.set(limit.metric, limit.label);
+          } else if (label !== limit.label) {
+            report({
+              file,
+              path: `${limitPath}/label`,
+              message: `Metric "${limit.metric}" is labelled "${label}" in another tier; use the same label`,
+            });
+          }
+        });
+      });
+
+      const highlighted = tiers.filter((tier) => tier.highlighted);
+      if (highlighted.length > 1) {
+        report({
+          file,
+          path: "/pricing/tiers",
+          message: `Only one tier can be highlighted (got ${highlighted.map((tier) => `"${tier.id}"`).join(", ")})`,
+        });
+      }
+    });
+  },
+};
+
+const packDependencies = {
+  id: "pack-dependencies",
+  description:
+    "`installation.dependencies` name other existing packs, once each, without cycles",
+  defaultSeverity: "error",
+  check({ packs, report }) {
+    const packsById = new Map(packs.map((pack) => [pack.data.id, pack]));
+
+    packs.forEach(({ file, data }) => {
+      const seen = new Set();
+
+      getDependencyIds(data).forEach((id, index) => {
+        const path = `/installation/dependencies/${index}/id`;
+
+        if (id === data.id) {
+          report({ file, path, message: "A pack cannot depend on itself" });
+        } else if (seen.has(id)) {
+          report({ file, path, message: `"${id}" is listed more than once` });
+        } else if (!packsById.has(id)) {
+          // Same slug-for-id mix-up as in lifecycle.replacedBy
+          const bySlug = packs.find((pack) => pack.data.slug === id);
+          report({
+            file,
+            path,
+            message: bySlug
+              ? `"${id}" is a pack slug; use its id "${bySlug.data.id}" (${bySlug.file})`
+              : `Unknown pack id "${id}"`,
+          });
+        } else if (packsById.get(id).data.status === "archived") {
+          report({
+            file,
+            path,
+            message: `"${id}" is archived and can no longer be installed`,
+          });
+        }
+        seen.add(id);
+      });
+    });
+
+    const graph = new Map(
+      packs.map(({ data }) => [
+        data.id,
+        getDependencyIds(data).filter((id) => id !== data.id),
+      ]),
+    );
+
+    // Report each cycle on every pack in it, at its edge to the next one
+    findDependencyCycles(graph).forEach((cycle) => {
+      cycle.forEach((id, position) => {
+        const next = cycle[(position + 1) % cycle.length];
+        const { file, data } = packsById.get(id);
+        const path = [
+          ...cycle.slice(position),
+          ...cycle.slice(0, position),
+          id,
+        ];
+
+        report({
+          file,
+          path: `/installation/dependencies/${getDependencyIds(data).indexOf(next)}/id`,
+          message: `Dependency cycle: ${path.join(" → ")}`,
+        });
+      });
+    });
+  },
+};
+
+const relatedPacks = {
+  id: "related-packs",
+  description: "`related` names other existing packs that are not archived",
+  defaultSeverity: "error",
+  check({ packs, report }) {
+    const packsById = new Map(packs.map((pack) => [pack.data.id, pack]));
+
+    packs.forEach(({ file, data }) => {
+      (data.related || []).forEach((id, index) => {
+        const path = `/related/${index}`;
+
+        if (id === data.id) {
+          report({ file, path, message: "A pack cannot be related to itself" });
+        } else if (!packsById.has(id)) {
+          const bySlug = packs.find((pack) => pack.data.slug === id);
+          report({
+            file,
+            path,
+            message: bySlug
+              ? `"${id}" is a pack slug; use its id "${bySlug.data.id}" (${bySlug.file})`
+              : `Unknown pack id "${id}"`,
+          });
+        } else if (packsById.get(id).data.status === "archived") {
+          report({
+            file,
+            path,
+            message: `"${id}" is archived and is never recommended`,
+          });
+        }
+      });
+    });
+  },
+};
+
+export const rules = [
+  uniqueId,
+  uniqueSlug,
+  quickstartStepSequence,
+  commandGrammar,
+  installationCommandVerb,
+  lifecycleReferences,
+  previousSlugsUnique,
+  changelogOrder,
+  pricingTiers,
+  packDependencies,
+  relatedPacks,
+];
+
+/**
+ * Old rule ids still accepted in `.packlintrc.json`, mapped to their replacement
+ */
+export const deprecatedRuleIds = {
+  "quickstart-command-declared": "command-grammar",
+};
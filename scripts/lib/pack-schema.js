@@ -0,0 +1,71 @@
+/**
+ * Shared JSON Schema validation for intelligence packs
+ * Used by scripts/validate-packs.js and by loadAllIntelligencePacks() at build time,
+ * so the CLI and the Astro build enforce exactly the same rules.
+ */
+
+import Ajv from "ajv";
+import { isValidRange } from "./pack-compatibility.js";
+
+/**
+ * Compile schema.json into an Ajv validate function
+ */
+export function createPackValidator(schema) {
+  const ajv = new Ajv({
+    allErrors: true,
+    verbose: true,
+    strict: false,
+  });
+
+  // Add custom format validator for URIs
+  ajv.addFormat("uri", /^https?:\/\/.+/i);
+  ajv.addFormat("date", /^\d{4}-\d{2}-\d{2}$/);
+  // Huitzo Core and pack dependency ranges (scripts/lib/pack-compatibility.js)
+  ajv.addFormat("semver-range", isValidRange);
+
+  return ajv.compile(schema);
+}
+
+/**
+ * Describe a single Ajv error as "keyword at /path: message (details)"
+ */
+export function describeSchemaError(error) {
+  const { instancePath, keyword, params, message } = error;
+
+  let output = keyword;
+
+  if (instancePath) {
+    output += ` at ${instancePath}`;
+  }
+
+  output += ": " + message;
+
+  if (params) {
+    if (params.allowedValues) {
+      output += ` (allowed: ${params.allowedValues.join(", ")})`;
+    }
+    if (params.pattern) {
+      output += ` (pattern: ${params.pattern})`;
+    }
+    if (params.additionalProperty) {
+      output += ` (property: ${params.additionalProperty})`;
+    }
+    if (params.limit !== undefined) {
+      if (
+        keyword === "minLength" ||
+        keyword === "minimum" ||
+        keyword === "minItems"
+      ) {
+        output += ` (minimum: ${params.limit})`;
+      } else if (
+        keyword === "maxLength" ||
+        keyword === "maximum" ||
+        keyword === "maxItems"
+      ) {
+        output += ` (maximum: ${params.limit})`;
+      }
+    }
+  }
+
+  return output;
+}
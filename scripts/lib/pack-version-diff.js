@@ -0,0 +1,472 @@
+/**
+ * Classify changes between two versions of an intelligence pack and check
+ * that its `version` was bumped accordingly.
+ *
+ * - major: something users rely on went away or changed incompatibly
+ *   (removed or renamed commands, aliases, flags or arguments, new required
+ *   parameters, narrowed enums, removed features, the free tier or an available
+ *   pricing tier, a changed install command)
+ * - minor: something was added (commands, aliases, optional flags, features,
+ *   pricing tiers, requirements, dependencies) or pricing or the Huitzo Core
+ *   range changed
+ * - patch: text edits and everything else
+ *
+ * While a pack is below 1.0.0, breaking changes only need a minor bump.
+ */
+
+export const CHANGE_LEVELS = ["patch", "minor", "major"];
+
+const VERSION_PATTERN = /^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?/;
+
+/** Fields handled by the specific checks below rather than the generic patch check */
+const CLASSIFIED_FIELDS = [
+  "version",
+  "commands",
+  "features",
+  "pricing",
+  "installation",
+];
+
+function levelRank(level) {
+  return CHANGE_LEVELS.indexOf(level);
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export function parseVersion(version) {
+  const match = VERSION_PATTERN.exec(version || "");
+  if (!match) return null;
+  const [, major, minor, patch, prerelease = ""] = match;
+  return {
+    major: Number(major),
+    minor: Number(minor),
+    patch: Number(patch),
+    prerelease,
+  };
+}
+
+/**
+ * Sort comparator for semantic versions (a prerelease sorts before its release)
+ */
+export function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  if (!left || !right) return 0;
+
+  for (const part of ["major", "minor", "patch"]) {
+    if (left[part] !== right[part]) return left[part] - right[part];
+  }
+  if (left.prerelease === right.prerelease) return 0;
+  if (!left.prerelease) return 1;
+  if (!right.prerelease) return -1;
+  return left.prerelease < right.prerelease ? -1 : 1;
+}
+
+/**
+ * The level of a version change: "major", "minor", "patch", "none" or "downgrade"
+ */
+export function getBumpLevel(before, after) {
+  const from = parseVersion(before);
+  const to = parseVersion(after);
+  if (!from || !to) return "none";
+
+  for (const part of ["major", "minor", "patch"]) {
+    if (to[part] > from[part]) return part;
+    if (to[part] < from[part]) return "downgrade";
+  }
+
+  // Same numbers: moving between prereleases counts as a patch
+  return from.prerelease !== to.prerelease ? "patch" : "none";
+}
+
+/**
+ * The bump a change level requires, relaxed for 0.x versions
+ */
+export function getRequiredBump(level, version) {
+  const parsed = parseVersion(version);
+  if (level === "major" && parsed && parsed.major === 0) return "minor";
+  return level;
+}
+
+/**
+ * Describe the smallest version satisfying a bump, e.g. 1.2.3 + minor → 1.3.0
+ */
+export function suggestVersion(version, bump) {
+  const parsed = parseVersion(version);
+  if (!parsed) return null;
+  const { major, minor, patch } = parsed;
+  if (bump === "major") return `${major + 1}.0.0`;
+  if (bump === "minor") return `${major}.${minor + 1}.0`;
+  return `${major}.${minor}.${patch + 1}`;
+}
+
+function diffList(before = [], after = []) {
+  return {
+    removed: before.filter((item) => !after.includes(item)),
+    added: after.filter((item) => !before.includes(item)),
+  };
+}
+
+/**
+ * A parameter without the fields compared one by one (description, default, ...)
+ */
+function withoutChecked(parameter) {
+  return Object.fromEntries(
+    Object.entries(parameter).filter(
+      ([key]) => !["name", "type", "required", "enum"].includes(key),
+    ),
+  );
+}
+
+function diffParameters(kind, command, before = [], after = [], report) {
+  const label =
+    kind === "flags" ? (name) => `--${name}` : (name) => `<${name}>`;
+  const where = `"${command}"`;
+  const afterByName = new Map(
+    after.map((parameter) => [parameter.name, parameter]),
+  );
+  const beforeNames = before.map((parameter) => parameter.name);
+
+  for (const previous of before) {
+    const current = afterByName.get(previous.name);
+    if (!current) {
+      report("major", `Removed ${label(previous.name)} from ${where}`);
+      continue;
+    }
+
+    if ((previous.type || "string") !== (current.type || "string")) {
+      report(
+        "major",
+        `Changed ${label(current.name)} of ${where} from ${previous.type || "string"} to ${current.type || "string"}`,
+      );
+    }
+    if (!previous.required && current.required) {
+      report("major", `Made ${label(current.name)} of ${where} required`);
+    }
+    if (previous.required && !current.required) {
+      report("minor", `Made ${label(current.name)} of ${where} optional`);
+    }
+
+    if (previous.enum || current.enum) {
+      // Dropping an enum accepts anything, adding one restricts existing values
+      if (!current.enum) {
+        report(
+          "minor",
+          `Removed the allowed values of ${label(current.name)} of ${where}`,
+        );
+      } else if (!previous.enum) {
+        report(
+          "major",
+          `Restricted ${label(current.name)} of ${where} to ${current.enum.join(", ")}`,
+        );
+      } else {
+        const { removed, added } = diffList(previous.enum, current.enum);
+        if (removed.length > 0) {
+          report(
+            "major",
+            `Removed ${removed.join(", ")} from ${label(current.name)} of ${where}`,
+          );
+        }
+        if (added.length > 0) {
+          report(
+            "minor",
+            `Added ${added.join(", ")} to ${label(current.name)} of ${where}`,
+          );
+        }
+      }
+    }
+
+    if (!isEqual(withoutChecked(current), withoutChecked(previous))) {
+      report("patch", `Edited ${label(current.name)} of ${where}`);
+    }
+  }
+
+  for (const current of after) {
+    if (beforeNames.includes(current.name)) continue;
+    report(
+      current.required ? "major" : "minor",
+      `Added ${current.required ? "required " : ""}${label(current.name)} to ${where}`,
+    );
+  }
+
+  // Positional arguments are matched by position when invoked
+  if (kind === "arguments") {
+    const kept = beforeNames.filter((name) => afterByName.has(name));
+    const order = after
+      .map((parameter) => parameter.name)
+      .filter((name) => kept.includes(name));
+    if (!isEqual(kept, order)) {
+      report("major", `Reordered the arguments of ${where}`);
+    }
+  }
+}
+
+function diffCommands(before = [], after = [], report) {
+  const afterByName = new Map(after.map((command) => [command.name, command]));
+  const beforeNames = new Set(before.map((command) => command.name));
+
+  for (const previous of before) {
+    const current = afterByName.get(previous.name);
+    if (!current) {
+      // A rename keeps working if the old name became an alias
+      const aliasedBy = after.find((command) =>
+        command.aliases?.includes(previous.name),
+      );
+      if (aliasedBy) {
+        report(
+          "minor",
+          `Renamed command "${previous.name}" to "${aliasedBy.name}" (old name kept as an alias)`,
+        );
+      } else {
+        report("major", `Removed command "${previous.name}"`);
+      }
+      continue;
+    }
+
+    const aliases = diffList(previous.aliases, current.aliases);
+    aliases.removed
+      .filter((alias) => !after.some((command) => command.name === alias))
+      .forEach((alias) =>
+        report("major", `Removed alias "${alias}" of "${current.name}"`),
+      );
+    aliases.added.forEach((alias) =>
+      report("minor", `Added alias "${alias}" to "${current.name}"`),
+    );
+
+    diffParameters(
+      "arguments",
+      current.name,
+      previous.arguments,
+      current.arguments,
+      report,
+    );
+    diffParameters(
+      "flags",
+      current.name,
+      previous.flags,
+      current.flags,
+      report,
+    );
+
+    if (
+      previous.description !== current.description ||
+      previous.usage !== current.usage
+    ) {
+      report("patch", `Edited the description or usage of "${current.name}"`);
+    }
+  }
+
+  for (const current of after) {
+    if (beforeNames.has(current.name)) continue;
+    if (current.aliases?.some((alias) => beforeNames.has(alias))) continue;
+    report("minor", `Added command "${current.name}"`);
+  }
+}
+
+/**
+ * Compare two lists of strings where an edited entry shows up as one removal
+ * plus one addition; pairs of those are reported as text edits.
+ */
+function diffTextList(label, before = [], after = [], report) {
+  const { removed, added } = diffList(before, after);
+  const edited = Math.min(removed.length, added.length);
+
+  if (edited > 0) report("patch", `Edited ${edited} ${label}`);
+  removed
+    .slice(edited)
+    .forEach((item) => report("major", `Removed ${label} "${item}"`));
+  added
+    .slice(edited)
+    .forEach((item) => report("minor", `Added ${label} "${item}"`));
+}
+
+function isFreeTier(tier) {
+  return tier.availability === "available" && tier.price?.amount === 0;
+}
+
+function describePrice(tier) {
+  if (!tier?.price) return tier?.availability ?? "none";
+  return `${tier.price.amount}/${tier.price.period || "month"}`;
+}
+
+function diffPricing(before = {}, after = {}, report) {
+  if (isEqual(before, after)) return;
+
+  // Revisions before structured tiers used free/pro/enterprise objects
+  if (!before.tiers && Object.keys(before).length > 0) {
+    if (after.tiers) {
+      report("patch", "Converted pricing to structured tiers");
+    } else {
+      report("patch", "Edited pricing");
+    }
+    return;
+  }
+
+  const beforeTiers = before.tiers || [];
+  const afterTiers = after.tiers || [];
+  const afterById = new Map(afterTiers.map((tier) => [tier.id, tier]));
+
+  if ((before.currency || "USD") !== (after.currency || "USD")) {
+    report("minor", `Changed the pricing currency to ${after.currency}`);
+  }
+
+  for (const previous of beforeTiers) {
+    const current = afterById.get(previous.id);
+    if (!current) {
+      report(
+        previous.availability === "available" ? "major" : "minor",
+        `Removed ${isFreeTier(previous) ? "free " : ""}tier "${previous.id}"`,
+      );
+      continue;
+    }
+
+    const label = `tier "${current.id}"`;
+    if (isFreeTier(previous) && !isFreeTier(current)) {
+      report("major", `Made ${label} paid`);
+    }
+    diffTextList(
+      `${label} feature`,
+      previous.features,
+      current.features,
+      report,
+    );
+
+    if (previous.availability !== current.availability) {
+      report(
+        previous.availability === "available" ? "major" : "minor",
+        `Changed ${label} from ${previous.availability} to ${current.availability}`,
+      );
+    }
+    if (!isEqual(previous.price, current.price)) {
+      report(
+        "minor",
+        `Changed the price of ${label} from ${describePrice(previous)} to ${describePrice(current)}`,
+      );
+    }
+    if (!isEqual(previous.limits, current.limits)) {
+      report("minor", `Changed the limits of ${label}`);
+    }
+    if (
+      previous.name !== current.name ||
+      previous.description !== current.description ||
+      Boolean(previous.highlighted) !== Boolean(current.highlighted)
+    ) {
+      report("patch", `Edited ${label}`);
+    }
+  }
+
+  for (const current of afterTiers) {
+    if (!beforeTiers.some((tier) => tier.id === current.id)) {
+      report(
+        "minor",
+        `Added ${isFreeTier(current) ? "free " : ""}tier "${current.id}"`,
+      );
+    }
+  }
+}
+
+function diffInstallation(before = {}, after = {}, report) {
+  if (before.command !== after.command) {
+    report("major", `Changed the install command to "${after.command ?? ""}"`);
+  }
+  const requirements = diffList(before.requirements, after.requirements);
+  if (requirements.added.length > 0) {
+    report("minor", `Added requirements: ${requirements.added.join(", ")}`);
+  }
+  if (requirements.removed.length > 0) {
+    report("patch", `Removed requirements: ${requirements.removed.join(", ")}`);
+  }
+
+  // Users on some Huitzo Core versions may gain or lose the pack either way
+  if (before.core !== after.core) {
+    if (after.core === undefined) {
+      report("patch", `Removed the Huitzo Core range "${before.core}"`);
+    } else {
+      report(
+        "minor",
+        before.core === undefined
+          ? `Set the Huitzo Core range to "${after.core}"`
+          : `Changed the Huitzo Core range from "${before.core}" to "${after.core}"`,
+      );
+    }
+  }
+
+  const beforeDependencies = new Map(
+    (before.dependencies || []).map((dependency) => [
+      dependency.id,
+      dependency,
+    ]),
+  );
+  const afterDependencies = new Map(
+    (after.dependencies || []).map((dependency) => [dependency.id, dependency]),
+  );
+  for (const [id, current] of afterDependencies) {
+    const previous = beforeDependencies.get(id);
+    if (!previous) {
+      report("minor", `Added dependency on "${id}"`);
+    } else if (previous.version !== current.version) {
+      report(
+        "minor",
+        `Changed the "${id}" dependency range from "${previous.version ?? "*"}" to "${current.version ?? "*"}"`,
+      );
+    }
+  }
+  for (const id of beforeDependencies.keys()) {
+    if (!afterDependencies.has(id)) {
+      report("patch", `Removed dependency on "${id}"`);
+    }
+  }
+}
+
+/**
+ * Every change between two versions of a pack as { level, message }
+ */
+export function diffPack(before, after) {
+  const changes = [];
+  const report = (level, message) => changes.push({ level, message });
+
+  diffCommands(before.commands, after.commands, report);
+  diffTextList("feature", before.features, after.features, report);
+  diffPricing(before.pricing, after.pricing, report);
+  diffInstallation(before.installation, after.installation, report);
+
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const field of fields) {
+    if (CLASSIFIED_FIELDS.includes(field)) continue;
+    if (!isEqual(before[field], after[field])) {
+      report("patch", `Changed ${field}`);
+    }
+  }
+
+  return changes.sort((a, b) => levelRank(b.level) - levelRank(a.level));
+}
+
+/**
+ * Compare two versions of a pack and check its version bump.
+ * Returns { changes, level, bump, required, ok, suggestion }.
+ */
+export function checkPackVersion(before, after) {
+  const changes = diffPack(before, after);
+  const level = changes.reduce(
+    (highest, change) =>
+      levelRank(change.level) > levelRank(highest) ? change.level : highest,
+    null,
+  );
+  const bump = getBumpLevel(before.version, after.version);
+  const required = level ? getRequiredBump(level, before.version) : null;
+
+  const ok =
+    bump !== "downgrade" &&
+    (!required || (bump !== "none" && levelRank(bump) >= levelRank(required)));
+
+  return {
+    changes,
+    level,
+    bump,
+    required,
+    ok,
+    suggestion: required ? suggestVersion(before.version, required) : null,
+  };
+}
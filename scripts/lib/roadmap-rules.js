@@ -0,0 +1,260 @@
+/**
+ * Semantic rules for src/data/roadmap.json
+ * These run after schema validation and check what JSON Schema cannot express:
+ * status ↔ progress ↔ date consistency, unique ids, ordering and staleness.
+ *
+ * A rule is { id, description, severity, check(context) }.
+ * `check` receives { roadmap, packs, today, report } where `packs` is an array
+ * of { file, id, slug } for every intelligence pack, `today` is a YYYY-MM-DD
+ * string and `report({ path, message })` records a finding.
+ */
+
+/** Roadmaps not touched for longer than this are reported as stale */
+export const STALE_ROADMAP_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The date a milestone is placed at on the timeline
+ */
+export function getMilestoneDate(milestone) {
+  return milestone.status === "completed"
+    ? milestone.date
+    : milestone.targetDate || milestone.date;
+}
+
+function describe(milestone) {
+  return `"${milestone.id}" (${milestone.status})`;
+}
+
+const uniqueMilestoneId = {
+  id: "unique-milestone-id",
+  description: "Every milestone must have a unique `id`",
+  severity: "error",
+  check({ roadmap, report }) {
+    const seen = new Map();
+
+    roadmap.milestones.forEach((milestone, index) => {
+      if (seen.has(milestone.id)) {
+        report({
+          path: `/milestones/${index}/id`,
+          message: `Duplicate id "${milestone.id}" (already used by /milestones/${seen.get(milestone.id)})`,
+        });
+      } else {
+        seen.set(milestone.id, index);
+      }
+    });
+  },
+};
+
+const statusProgress = {
+  id: "status-progress",
+  description:
+    "`completed` milestones are at 100%, `upcoming`/`planning` at 0% and `in-progress` below 100%",
+  severity: "error",
+  check({ roadmap, report }) {
+    roadmap.milestones.forEach((milestone, index) => {
+      const { status, progress } = milestone;
+      const path = `/milestones/${index}/progress`;
+
+      if (status === "completed" && progress !== 100) {
+        report({
+          path,
+          message: `${describe(milestone)} has progress ${progress}; completed milestones must be at 100`,
+        });
+      }
+      if ((status === "upcoming" || status === "planning") && progress !== 0) {
+        report({
+          path,
+          message: `${describe(milestone)} has progress ${progress}; set status to "in-progress" or progress to 0`,
+        });
+      }
+      if (status === "in-progress" && progress === 100) {
+        report({
+          path,
+          message: `${describe(milestone)} is at 100%; mark it "completed" with a completion date`,
+        });
+      }
+    });
+  },
+};
+
+const statusDates = {
+  id: "status-dates",
+  description:
+    "`completed` milestones have a past `date` and no `targetDate`; open milestones have a `targetDate` and no `date`",
+  severity: "error",
+  check({ roadmap, today, report }) {
+    roadmap.milestones.forEach((milestone, index) => {
+      const { status, date, targetDate } = milestone;
+      const base = `/milestones/${index}`;
+
+      if (status === "completed") {
+        if (!date) {
+          report({
+            path: base,
+            message: `${describe(milestone)} is missing its completion \`date\``,
+          });
+        } else if (date > today) {
+          report({
+            path: `${base}/date`,
+            message: `${describe(milestone)} has a completion date in the future (${date})`,
+          });
+        }
+        if (targetDate) {
+          report({
+            path: `${base}/targetDate`,
+            message: `${describe(milestone)} still has a \`targetDate\`; keep only the completion \`date\``,
+          });
+        }
+        return;
+      }
+
+      if (date) {
+        report({
+          path: `${base}/date`,
+          message: `${describe(milestone)} has a completion \`date\`; use \`targetDate\` until it is completed`,
+        });
+      }
+      if (!targetDate && status !== "planning") {
+        report({
+          path: base,
+          message: `${describe(milestone)} is missing a \`targetDate\``,
+        });
+      }
+    });
+  },
+};
+
+const chronologicalOrder = {
+  id: "chronological-order",
+  description:
+    "Milestones are listed in date order, as the timeline shows them",
+  severity: "warn",
+  check({ roadmap, report }) {
+    let previous = null;
+
+    roadmap.milestones.forEach((milestone, index) => {
+      const date = getMilestoneDate(milestone);
+      if (!date) return;
+
+      if (previous && date < previous.date) {
+        report({
+          path: `/milestones/${index}`,
+          message: `"${milestone.id}" (${date}) is listed after "${previous.id}" (${previous.date})`,
+        });
+      }
+      previous = { id: milestone.id, date };
+    });
+  },
+};
+
+const overdueMilestone = {
+  id: "overdue-milestone",
+  description: "Open milestones whose `targetDate` has passed",
+  severity: "warn",
+  check({ roadmap, today, report }) {
+    roadmap.milestones.forEach((milestone, index) => {
+      if (milestone.status === "completed" || !milestone.targetDate) return;
+
+      if (milestone.targetDate < today) {
+        report({
+          path: `/milestones/${index}/targetDate`,
+          message: `${describe(milestone)} was due ${milestone.targetDate}; complete it or move the target date`,
+        });
+      }
+    });
+  },
+};
+
+const lastUpdatedFresh = {
+  id: "last-updated-fresh",
+  description: `\`lastUpdated\` is not older than the newest milestone change or ${STALE_ROADMAP_DAYS} days`,
+  severity: "warn",
+  check({ roadmap, today, report }) {
+    const lastUpdated = roadmap.lastUpdated.slice(0, 10);
+    const newestCompletion = roadmap.milestones
+      .filter((milestone) => milestone.status === "completed" && milestone.date)
+      .map((milestone) => milestone.date)
+      .sort()
+      .pop();
+
+    if (newestCompletion && lastUpdated < newestCompletion) {
+      report({
+        path: "/lastUpdated",
+        message: `lastUpdated (${lastUpdated}) is older than the newest completed milestone (${newestCompletion})`,
+      });
+    }
+
+    const ageDays = Math.floor(
+      (Date.parse(today) - Date.parse(lastUpdated)) / DAY_MS,
+    );
+    if (ageDays > STALE_ROADMAP_DAYS) {
+      report({
+        path: "/lastUpdated",
+        message: `Roadmap was last updated ${ageDays} days ago (${lastUpdated}); review milestone statuses`,
+      });
+    }
+  },
+};
+
+const packReferences = {
+  id: "pack-references",
+  description: "`packs` entries are ids of existing intelligence packs",
+  severity: "error",
+  check({ roadmap, packs, report }) {
+    const packIds = new Set(packs.map((pack) => pack.id));
+
+    roadmap.milestones.forEach((milestone, index) => {
+      (milestone.packs || []).forEach((packId, packIndex) => {
+        if (packIds.has(packId)) return;
+
+        // A common mistake is using the slug (file name) instead of the id
+        const bySlug = packs.find((pack) => pack.slug === packId);
+        report({
+          path: `/milestones/${index}/packs/${packIndex}`,
+          message: bySlug
+            ? `"${packId}" is a pack slug; use its id "${bySlug.id}" (${bySlug.file})`
+            : `${describe(milestone)} references unknown pack id "${packId}"`,
+        });
+      });
+    });
+  },
+};
+
+export const rules = [
+  uniqueMilestoneId,
+  statusProgress,
+  statusDates,
+  packReferences,
+  chronologicalOrder,
+  overdueMilestone,
+  lastUpdatedFresh,
+];
+
+/**
+ * Run every rule and return findings sorted by severity (errors first)
+ */
+export function checkRoadmap(roadmap, { packs, today }) {
+  const findings = [];
+
+  for (const rule of rules) {
+    rule.check({
+      roadmap,
+      packs,
+      today,
+      report: ({ path, message }) =>
+        findings.push({
+          ruleId: rule.id,
+          severity: rule.severity,
+          path,
+          message,
+        }),
+    });
+  }
+
+  return findings.sort(
+    (a, b) =>
+      (a.severity === "error" ? 0 : 1) - (b.severity === "error" ? 0 : 1),
+  );
+}
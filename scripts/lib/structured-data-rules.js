@@ -0,0 +1,351 @@
+/**
+ * schema.org rules for the JSON-LD the site emits
+ * Covers only the types and properties we use (see src/utils/structured-data.ts
+ * and src/components/common/StructuredData.astro). A property missing here is
+ * reported, so typos don't slip through; add it to SCHEMA_TYPES when it is a
+ * real schema.org property of that type.
+ *
+ * Property values are listed as the kinds they may take: a schema.org type
+ * name (a nested node or an `{"@id"}` reference) or one of VALUE_KINDS.
+ */
+
+const ITEM_AVAILABILITY = [
+  "BackOrder",
+  "Discontinued",
+  "InStock",
+  "InStoreOnly",
+  "LimitedAvailability",
+  "OnlineOnly",
+  "OutOfStock",
+  "PreOrder",
+  "PreSale",
+  "SoldOut",
+].map((value) => `https://schema.org/${value}`);
+
+const VALUE_KINDS = {
+  Text: (value) => typeof value === "string" && value.trim() !== "",
+  URL: (value) => typeof value === "string" && /^https?:\/\/\S+$/.test(value),
+  Integer: (value) => Number.isInteger(value),
+  Number: (value) =>
+    (typeof value === "number" && Number.isFinite(value)) ||
+    (typeof value === "string" && /^\d+(\.\d+)?$/.test(value)),
+  // Prices are plain decimals: "10.00", not "$10"
+  Price: (value) =>
+    (typeof value === "number" && value >= 0) ||
+    (typeof value === "string" && /^\d+(\.\d+)?$/.test(value)),
+  Currency: (value) => typeof value === "string" && /^[A-Z]{3}$/.test(value),
+  Date: (value) =>
+    typeof value === "string" && /^\d{4}(-\d{2}){0,2}$/.test(value),
+  Duration: (value) =>
+    typeof value === "string" &&
+    /^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+S)?)?$/.test(
+      value,
+    ),
+  Language: (value) =>
+    typeof value === "string" && /^[a-z]{2,3}(-[A-Za-z0-9]+)*$/.test(value),
+  ItemAvailability: (value) => ITEM_AVAILABILITY.includes(value),
+};
+
+/**
+ * The schema.org types in use: required properties and the allowed kinds of
+ * every property
+ */
+export const SCHEMA_TYPES = {
+  Organization: {
+    required: ["name"],
+    properties: {
+      name: ["Text"],
+      url: ["URL"],
+      logo: ["ImageObject", "URL"],
+      description: ["Text"],
+      foundingDate: ["Date"],
+      slogan: ["Text"],
+      sameAs: ["URL"],
+      contactPoint: ["ContactPoint"],
+      email: ["Text"],
+    },
+  },
+  Person: {
+    required: ["name"],
+    properties: { name: ["Text"], url: ["URL"] },
+  },
+  ContactPoint: {
+    required: ["contactType"],
+    properties: { contactType: ["Text"], email: ["Text"], url: ["URL"] },
+  },
+  ImageObject: {
+    required: ["url"],
+    properties: { url: ["URL"], width: ["Integer"], height: ["Integer"] },
+  },
+  WebSite: {
+    required: ["name", "url"],
+    properties: {
+      name: ["Text"],
+      url: ["URL"],
+      description: ["Text"],
+      publisher: ["Organization", "Person"],
+      inLanguage: ["Language"],
+    },
+  },
+  SoftwareApplication: {
+    required: ["name", "applicationCategory", "operatingSystem"],
+    properties: {
+      name: ["Text"],
+      description: ["Text"],
+      url: ["URL"],
+      image: ["URL", "ImageObject"],
+      softwareVersion: ["Text"],
+      applicationCategory: ["Text"],
+      applicationSubCategory: ["Text"],
+      operatingSystem: ["Text"],
+      author: ["Organization", "Person"],
+      publisher: ["Organization", "Person"],
+      featureList: ["Text"],
+      softwareRequirements: ["Text"],
+      offers: ["Offer"],
+    },
+  },
+  Offer: {
+    required: ["price", "priceCurrency"],
+    properties: {
+      name: ["Text"],
+      price: ["Price"],
+      priceCurrency: ["Currency"],
+      availability: ["ItemAvailability"],
+      url: ["URL"],
+      priceSpecification: ["UnitPriceSpecification"],
+    },
+  },
+  UnitPriceSpecification: {
+    required: ["price", "priceCurrency"],
+    properties: {
+      price: ["Price"],
+      priceCurrency: ["Currency"],
+      billingDuration: ["Duration", "Number"],
+      unitText: ["Text"],
+    },
+  },
+  HowTo: {
+    required: ["name", "step"],
+    properties: {
+      name: ["Text"],
+      description: ["Text"],
+      tool: ["HowToTool", "Text"],
+      step: ["HowToStep"],
+      totalTime: ["Duration"],
+    },
+    positions: "step",
+  },
+  HowToStep: {
+    required: ["text"],
+    properties: {
+      position: ["Integer"],
+      name: ["Text"],
+      text: ["Text"],
+      url: ["URL"],
+    },
+  },
+  HowToTool: {
+    required: ["name"],
+    properties: { name: ["Text"] },
+  },
+  BreadcrumbList: {
+    required: ["itemListElement"],
+    properties: { itemListElement: ["ListItem"] },
+    positions: "itemListElement",
+    // Every crumb needs a name and a link
+    itemRequired: ["name", "item"],
+  },
+  ItemList: {
+    required: ["itemListElement"],
+    properties: {
+      name: ["Text"],
+      numberOfItems: ["Integer"],
+      itemListElement: ["ListItem"],
+    },
+    positions: "itemListElement",
+    itemRequired: ["url"],
+  },
+  ListItem: {
+    required: ["position"],
+    properties: {
+      position: ["Integer"],
+      name: ["Text"],
+      item: ["URL"],
+      url: ["URL"],
+    },
+  },
+};
+
+const CONTEXTS = ["https://schema.org", "http://schema.org"];
+
+function isReference(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.keys(value).length === 1 &&
+    "@id" in value
+  );
+}
+
+function describeKinds(kinds) {
+  return kinds.join(" or ");
+}
+
+/**
+ * Check one JSON-LD document (the parsed body of one script tag).
+ * Returns { findings, types, ids, references }: findings are
+ * { path, message }, `ids` the `@id`s it defines and `references` the
+ * `{"@id"}` references it makes (as { path, id }), so the caller can resolve
+ * references across the documents of a page.
+ */
+export function checkJsonLd(document) {
+  const findings = [];
+  const types = [];
+  const ids = [];
+  const references = [];
+  const report = (path, message) => findings.push({ path, message });
+
+  function checkNode(node, path, allowedTypes) {
+    const type = node["@type"];
+
+    if (typeof type !== "string") {
+      report(path, "missing @type");
+      return;
+    }
+    const definition = SCHEMA_TYPES[type];
+    if (!definition) {
+      report(`${path}/@type`, `"${type}" is not one of the checked types`);
+      return;
+    }
+    if (allowedTypes && !allowedTypes.includes(type)) {
+      report(
+        `${path}/@type`,
+        `expected ${describeKinds(allowedTypes)}, got ${type}`,
+      );
+    }
+    types.push(type);
+
+    if ("@id" in node) {
+      if (VALUE_KINDS.URL(node["@id"])) {
+        ids.push(node["@id"]);
+      } else {
+        report(`${path}/@id`, "must be an absolute URL");
+      }
+    }
+
+    for (const property of definition.required) {
+      const value = node[property];
+      if (
+        value === undefined ||
+        value === null ||
+        value === "" ||
+        (Array.isArray(value) && value.length === 0)
+      ) {
+        report(path, `${type} is missing required "${property}"`);
+      }
+    }
+
+    for (const [property, value] of Object.entries(node)) {
+      if (property.startsWith("@")) continue;
+
+      const kinds = definition.properties[property];
+      if (!kinds) {
+        report(
+          `${path}/${property}`,
+          `"${property}" is not a checked property of ${type}`,
+        );
+        continue;
+      }
+
+      const values = Array.isArray(value) ? value : [value];
+      values.forEach((item, index) => {
+        const itemPath = Array.isArray(value)
+          ? `${path}/${property}/${index}`
+          : `${path}/${property}`;
+        checkValue(item, itemPath, kinds);
+      });
+    }
+
+    if (definition.positions) {
+      checkPositions(node, path, definition);
+    }
+    if (
+      type === "ItemList" &&
+      node.numberOfItems !== undefined &&
+      Array.isArray(node.itemListElement) &&
+      node.numberOfItems !== node.itemListElement.length
+    ) {
+      report(
+        `${path}/numberOfItems`,
+        `is ${node.numberOfItems} but the list has ${node.itemListElement.length} items`,
+      );
+    }
+  }
+
+  function checkValue(value, path, kinds) {
+    const nodeKinds = kinds.filter((kind) => SCHEMA_TYPES[kind]);
+
+    if (value !== null && typeof value === "object" && !Array.isArray(value)) {
+      if (nodeKinds.length === 0) {
+        report(path, `expected ${describeKinds(kinds)}, got an object`);
+      } else if (isReference(value)) {
+        if (VALUE_KINDS.URL(value["@id"])) {
+          references.push({ path, id: value["@id"] });
+        } else {
+          report(`${path}/@id`, "must be an absolute URL");
+        }
+      } else {
+        checkNode(value, path, nodeKinds);
+      }
+      return;
+    }
+
+    const valid = kinds.some((kind) => VALUE_KINDS[kind]?.(value));
+    if (!valid) {
+      report(
+        path,
+        `expected ${describeKinds(kinds)}, got ${JSON.stringify(value)}`,
+      );
+    }
+  }
+
+  function checkPositions(node, path, definition) {
+    const items = node[definition.positions];
+    if (!Array.isArray(items)) return;
+
+    items.forEach((item, index) => {
+      const itemPath = `${path}/${definition.positions}/${index}`;
+      if (!item || typeof item !== "object") return;
+
+      if (item.position !== undefined && item.position !== index + 1) {
+        report(
+          `${itemPath}/position`,
+          `expected position ${index + 1}, got ${item.position}`,
+        );
+      }
+      for (const property of definition.itemRequired || []) {
+        if (item[property] === undefined) {
+          report(itemPath, `list item is missing "${property}"`);
+        }
+      }
+    });
+  }
+
+  const nodes = Array.isArray(document) ? document : [document];
+  nodes.forEach((node, index) => {
+    const path = Array.isArray(document) ? `/${index}` : "";
+
+    if (!node || typeof node !== "object" || Array.isArray(node)) {
+      report(path || "/", "JSON-LD must be an object");
+      return;
+    }
+    if (!CONTEXTS.includes(node["@context"])) {
+      report(`${path}/@context`, 'must be "https://schema.org"');
+    }
+    checkNode(node, path, null);
+  });
+
+  return { findings, types, ids, references };
+}
@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+
+/**
+ * Lint intelligence packs
+ * Runs cross-file semantic rules that JSON Schema validation cannot express.
+ * Rules can be turned off or re-scoped in .packlintrc.json.
+ * Run: npm run lint:packs [-- --format text|json|sarif] [--config path] [--output path]
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { deprecatedRuleIds, rules } from "./lib/pack-lint-rules.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.join(__dirname, "..");
+const packsDir = path.join(rootDir, "src/data/intelligence-packs");
+const defaultConfigPath = path.join(rootDir, ".packlintrc.json");
+
+const SEVERITIES = ["off", "warn", "error"];
+const FORMATS = ["text", "json", "sarif"];
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join("/");
+}
+
+/**
+ * Map every JSON pointer in a document to the line it starts on, so findings
+ * can be reported with a precise location.
+ */
+function buildLineIndex(text) {
+  const lines = new Map();
+  let index = 0;
+  let line = 1;
+
+  function skipWhitespace() {
+    while (index < text.length && /\s/.test(text[index])) {
+      if (text[index] === "\n") line++;
+      index++;
+    }
+  }
+
+  function readString() {
+    const start = index;
+    index++;
+    while (text[index] !== '"') {
+      if (text[index] === "\\") index++;
+      index++;
+    }
+    index++;
+    return JSON.parse(text.slice(start, index));
+  }
+
+  function readValue(pointer) {
+    skipWhitespace();
+    lines.set(pointer, line);
+
+    if (text[index] === "{") {
+      index++;
+      skipWhitespace();
+      while (text[index] !== "}") {
+        skipWhitespace();
+        const key = readString();
+        skipWhitespace();
+        index++; // colon
+        const childPointer = `${pointer}/${key.replace(/~/g, "~0").replace(/\//g, "~1")}`;
+        readValue(childPointer);
+        skipWhitespace();
+        if (text[index] === ",") index++;
+        skipWhitespace();
+      }
+      index++;
+    } else if (text[index] === "[") {
+      index++;
+      skipWhitespace();
+      let itemIndex = 0;
+      while (text[index] !== "]") {
+        readValue(`${pointer}/${itemIndex++}`);
+        skipWhitespace();
+        if (text[index] === ",") index++;
+        skipWhitespace();
+      }
+      index++;
+    } else if (text[index] === '"') {
+      readString();
+    } else {
+      while (index < text.length && !/[\s,\]}]/.test(text[index])) index++;
+    }
+  }
+
+  readValue("");
+  return lines;
+}
+
+function loadConfig(configPath, explicit) {
+  if (!fs.existsSync(configPath)) {
+    if (explicit) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+    return { rules: {} };
+  }
+
+  const config = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+  const knownRules = new Set(rules.map((rule) => rule.id));
+  const configuredRules = {};
+
+  for (const [configuredId, setting] of Object.entries(config.rules || {})) {
+    const ruleId = deprecatedRuleIds[configuredId] || configuredId;
+    if (ruleId !== configuredId) {
+      console.warn(
+        `⚠️  Rule "${configuredId}" in ${configPath} was renamed to "${ruleId}"; update your config`,
+      );
+      // The new id wins when both are configured
+      if (ruleId in (config.rules || {})) continue;
+    }
+
+    if (!knownRules.has(ruleId)) {
+      throw new Error(`Unknown rule "${ruleId}" in ${configPath}`);
+    }
+    const severity = Array.isArray(setting) ? setting[0] : setting;
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(
+        `Invalid severity "${severity}" for rule "${ruleId}" (allowed: ${SEVERITIES.join(", ")})`,
+      );
+    }
+    configuredRules[ruleId] = setting;
+  }
+
+  return { rules: configuredRules };
+}
+
+function resolveRuleSettings(rule, config) {
+  const setting = config.rules[rule.id];
+
+  if (setting === undefined) {
+    return { severity: rule.defaultSeverity, options: rule.defaultOptions };
+  }
+
+  if (Array.isArray(setting)) {
+    return {
+      severity: setting[0],
+      options: { ...rule.defaultOptions, ...setting[1] },
+    };
+  }
+
+  return { severity: setting, options: rule.defaultOptions };
+}
+
+function loadPacks() {
+  return fs
+    .readdirSync(packsDir)
+    .filter((file) => file.endsWith(".json") && file !== "schema.json")
+    .sort()
+    .map((file) => {
+      const absolutePath = path.join(packsDir, file);
+      const text = fs.readFileSync(absolutePath, "utf-8");
+      return {
+        file: toPosix(path.relative(rootDir, absolutePath)),
+        data: JSON.parse(text),
+        lines: buildLineIndex(text),
+      };
+    });
+}
+
+function runRules(packs, config) {
+  const diagnostics = [];
+  const lineLookup = new Map(packs.map((pack) => [pack.file, pack.lines]));
+
+  rules.forEach((rule) => {
+    const { severity, options } = resolveRuleSettings(rule, config);
+    if (severity === "off") return;
+
+    rule.check({
+      packs: packs.map(({ file, data }) => ({ file, data })),
+      options: options || {},
+      report({ file, path: pointer, message }) {
+        diagnostics.push({
+          ruleId: rule.id,
+          severity,
+          file,
+          path: pointer,
+          line: lineLookup.get(file)?.get(pointer) ?? 1,
+          message,
+        });
+      },
+    });
+  });
+
+  return diagnostics.sort(
+    (a, b) =>
+      a.file.localeCompare(b.file) ||
+      a.line - b.line ||
+      a.ruleId.localeCompare(b.ruleId),
+  );
+}
+
+function formatText(diagnostics, fileCount) {
+  let output = "";
+  const byFile = new Map();
+
+  diagnostics.forEach((diagnostic) => {
+    if (!byFile.has(diagnostic.file)) byFile.set(diagnostic.file, []);
+    byFile.get(diagnostic.file).push(diagnostic);
+  });
+
+  byFile.forEach((fileDiagnostics, file) => {
+    output += `${file}\n`;
+    fileDiagnostics.forEach((d) => {
+      const icon = d.severity === "error" ? "❌" : "⚠️ ";
+      output += `  ${icon} ${d.line}  ${d.message} (${d.ruleId} at ${d.path})\n`;
+    });
+    output += "\n";
+  });
+
+  const errors = diagnostics.filter((d) => d.severity === "error").length;
+  const warnings = diagnostics.length - errors;
+
+  output += "---\n\n";
+  output += `📊 Lint Summary (${fileCount} file(s)):\n`;
+  output += `  ❌ Errors: ${errors}\n`;
+  output += `  ⚠️  Warnings: ${warnings}\n`;
+
+  return output;
+}
+
+function formatJson(diagnostics) {
+  return JSON.stringify(
+    {
+      errorCount: diagnostics.filter((d) => d.severity === "error").length,
+      warningCount: diagnostics.filter((d) => d.severity === "warn").length,
+      diagnostics,
+    },
+    null,
+    2,
+  );
+}
+
+function formatSarif(diagnostics) {
+  const sarif = {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: "huitzo-pack-lint",
+            informationUri: "https://github.com/esola-thomas/huitzo",
+            rules: rules.map((rule) => ({
+              id: rule.id,
+              shortDescription: { text: rule.description },
+              defaultConfiguration: {
+                level: rule.defaultSeverity === "warn" ? "warning" : "error",
+              },
+            })),
+          },
+        },
+        results: diagnostics.map((d) => ({
+          ruleId: d.ruleId,
+          level: d.severity === "warn" ? "warning" : "error",
+          message: { text: d.message },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: d.file },
+                region: { startLine: d.line },
+              },
+              logicalLocations: [{ fullyQualifiedName: d.path }],
+            },
+          ],
+        })),
+      },
+    ],
+  };
+
+  return JSON.stringify(sarif, null, 2);
+}
+
+function main() {
+  let args;
+  try {
+    ({ values: args } = parseArgs({
+      options: {
+        format: { type: "string", default: "text" },
+        config: { type: "string" },
+        output: { type: "string" },
+      },
+    }));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(2);
+  }
+
+  if (!FORMATS.includes(args.format)) {
+    console.error(
+      `❌ Unknown format "${args.format}" (allowed: ${FORMATS.join(", ")})`,
+    );
+    process.exit(2);
+  }
+
+  let config;
+  try {
+    config = args.config
+      ? loadConfig(path.resolve(args.config), true)
+      : loadConfig(defaultConfigPath, false);
+  } catch (error) {
+    console.error(`❌ Failed to load lint config: ${error.message}`);
+    process.exit(2);
+  }
+
+  let packs;
+  try {
+    packs = loadPacks();
+  } catch (error) {
+    console.error(`❌ Failed to read intelligence packs: ${error.message}`);
+    console.error("   Run `npm run validate:packs` for per-file details.");
+    process.exit(2);
+  }
+
+  const diagnostics = runRules(packs, config);
+
+  const output =
+    args.format === "json"
+      ? formatJson(diagnostics)
+      : args.format === "sarif"
+        ? formatSarif(diagnostics)
+        : formatText(diagnostics, packs.length);
+
+  if (args.output) {
+    fs.writeFileSync(args.output, `${output}\n`, "utf-8");
+  } else {
+    console.log(output);
+  }
+
+  const hasErrors = diagnostics.some((d) => d.severity === "error");
+  process.exit(hasErrors ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+
+/**
+ * Scaffold a new intelligence pack from pack_template.json
+ * Prompts for the basics, derives a kebab-case id/slug, refuses collisions with
+ * existing packs and reserved routes and only writes a file that passes schema validation.
+ * Run: npm run new:pack
+ * Non-interactive: npm run new:pack -- --yes --name "Weather Watch" --category data --status idea-phase
+ */
+
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import prettier from "prettier";
+import { loadPackSchema } from "./lib/pack-categories.js";
+import { RESERVED_PACK_SLUGS } from "./lib/pack-lifecycle.js";
+import { createPackValidator, describeSchemaError } from "./lib/pack-schema.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.join(__dirname, "..");
+const packsDir = path.join(rootDir, "src/data/intelligence-packs");
+const templatePath = path.join(rootDir, "pack_template.json");
+
+const DEFAULTS = {
+  author: "Huitzo Team",
+  icon: "📦",
+  status: "idea-phase",
+};
+
+const USAGE = `Usage: npm run new:pack -- [options]
+
+Options:
+  --name <name>              Human-readable pack name (required with --yes)
+  --id <id>                  Pack id (default: derived from name)
+  --slug <slug>              URL slug (default: same as id)
+  --category <category>      One of the categories in src/data/pack-categories.json
+  --status <status>          One of the statuses in schema.json (default: ${DEFAULTS.status})
+  --author <author>          Author (default: ${DEFAULTS.author})
+  --icon <icon>              Emoji or iconify name (default: ${DEFAULTS.icon})
+  --tagline <tagline>        Short one-liner
+  --description <text>       Longer description
+  --yes, -y                  Do not prompt; use flags and defaults
+  --dry-run                  Print the pack instead of writing it
+  --help, -h                 Show this help`;
+
+function toKebabCase(value) {
+  return value
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function loadExistingPacks() {
+  return fs
+    .readdirSync(packsDir)
+    .filter((file) => file.endsWith(".json") && file !== "schema.json")
+    .map((file) => {
+      const pack = JSON.parse(
+        fs.readFileSync(path.join(packsDir, file), "utf-8"),
+      );
+      return { file, id: pack.id, slug: pack.slug };
+    });
+}
+
+function findCollisions(existing, { id, slug }) {
+  const problems = [];
+
+  if (RESERVED_PACK_SLUGS.includes(slug)) {
+    problems.push(
+      `slug "${slug}" is reserved for the /intelligence-packs/${slug} page`,
+    );
+  }
+
+  existing.forEach((pack) => {
+    if (pack.id === id) problems.push(`id "${id}" is used by ${pack.file}`);
+    if (pack.slug === slug) {
+      problems.push(`slug "${slug}" is used by ${pack.file}`);
+    }
+  });
+
+  if (fs.existsSync(path.join(packsDir, `${slug}.json`))) {
+    problems.push(`file ${slug}.json already exists`);
+  }
+
+  return [...new Set(problems)];
+}
+
+/**
+ * Line-based prompter that also works when answers are piped in on stdin
+ */
+function createPrompter() {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal: Boolean(process.stdin.isTTY),
+  });
+  const lines = rl[Symbol.asyncIterator]();
+
+  return {
+    async question(text) {
+      process.stdout.write(text);
+      const { value, done } = await lines.next();
+      if (done) {
+        throw new Error("Input ended before all questions were answered");
+      }
+      return value;
+    },
+    close() {
+      rl.close();
+    },
+  };
+}
+
+async function ask(rl, question, { defaultValue, validate } = {}) {
+  const suffix = defaultValue ? ` (${defaultValue})` : "";
+
+  for (;;) {
+    const answer = (await rl.question(`${question}${suffix}: `)).trim();
+    const value = answer || defaultValue || "";
+    const error = validate ? validate(value) : null;
+
+    if (!error) return value;
+    console.log(`  ❌ ${error}`);
+  }
+}
+
+async function choose(rl, question, choices, defaultValue) {
+  console.log(`${question}:`);
+  choices.forEach((choice, index) => {
+    console.log(`  ${index + 1}. ${choice}`);
+  });
+
+  return ask(rl, "Choose a number or value", {
+    defaultValue,
+    validate: (value) =>
+      choices.includes(value) || choices[Number(value) - 1]
+        ? null
+        : `Pick one of: ${choices.join(", ")}`,
+  }).then((value) => choices[Number(value) - 1] || value);
+}
+
+async function promptForAnswers(args, schema, existing) {
+  const { properties } = schema;
+  const rl = createPrompter();
+
+  try {
+    const name = await ask(rl, "Pack name", {
+      defaultValue: args.name,
+      validate: (value) => (value ? null : "A name is required"),
+    });
+
+    const id = await ask(rl, "Pack id", {
+      defaultValue: args.id || toKebabCase(name),
+      validate: (value) => {
+        if (!new RegExp(properties.id.pattern).test(value)) {
+          return "Use lowercase letters, numbers and hyphens";
+        }
+        const collisions = findCollisions(existing, { id: value, slug: "" });
+        return collisions.length ? collisions.join("; ") : null;
+      },
+    });
+
+    const slug = await ask(rl, "URL slug", {
+      defaultValue: args.slug || id,
+      validate: (value) => {
+        if (!new RegExp(properties.slug.pattern).test(value)) {
+          return "Use lowercase letters, numbers and hyphens";
+        }
+        const collisions = findCollisions(existing, { id: "", slug: value });
+        return collisions.length ? collisions.join("; ") : null;
+      },
+    });
+
+    const category = await choose(
+      rl,
+      "Category",
+      properties.category.enum,
+      args.category,
+    );
+    const status = await choose(
+      rl,
+      "Status",
+      schema.definitions.status.enum,
+      args.status || DEFAULTS.status,
+    );
+    const author = await ask(rl, "Author", {
+      defaultValue: args.author || DEFAULTS.author,
+    });
+    const icon = await ask(rl, "Icon", {
+      defaultValue: args.icon || DEFAULTS.icon,
+    });
+    const tagline = await ask(rl, "Tagline", { defaultValue: args.tagline });
+    const description = await ask(rl, "Description", {
+      defaultValue: args.description,
+    });
+
+    return {
+      name,
+      id,
+      slug,
+      category,
+      status,
+      author,
+      icon,
+      tagline,
+      description,
+    };
+  } finally {
+    rl.close();
+  }
+}
+
+function answersFromFlags(args) {
+  if (!args.name) {
+    throw new Error("--name is required when running with --yes");
+  }
+  if (!args.category) {
+    throw new Error("--category is required when running with --yes");
+  }
+
+  const id = args.id || toKebabCase(args.name);
+
+  return {
+    name: args.name,
+    id,
+    slug: args.slug || id,
+    category: args.category,
+    status: args.status || DEFAULTS.status,
+    author: args.author || DEFAULTS.author,
+    icon: args.icon || DEFAULTS.icon,
+    tagline: args.tagline,
+    description: args.description,
+  };
+}
+
+function buildPack(template, answers) {
+  const pack = structuredClone(template);
+  const { slug } = answers;
+
+  for (const [key, value] of Object.entries(answers)) {
+    if (value) pack[key] = value;
+  }
+
+  pack.installation.command = `huitzo intelligence pack install ${slug}`;
+  pack.links.documentation = `https://huitzo.com/intelligence-packs/${slug}`;
+
+  return pack;
+}
+
+async function main() {
+  let args;
+  try {
+    ({ values: args } = parseArgs({
+      options: {
+        name: { type: "string" },
+        id: { type: "string" },
+        slug: { type: "string" },
+        category: { type: "string" },
+        status: { type: "string" },
+        author: { type: "string" },
+        icon: { type: "string" },
+        tagline: { type: "string" },
+        description: { type: "string" },
+        yes: { type: "boolean", short: "y", default: false },
+        "dry-run": { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    }));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  if (args.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  let schema, template, existing;
+  try {
+    ({ schema } = loadPackSchema(rootDir));
+    template = JSON.parse(fs.readFileSync(templatePath, "utf-8"));
+    existing = loadExistingPacks();
+  } catch (error) {
+    console.error(
+      `❌ Failed to load schema, template or packs: ${error.message}`,
+    );
+    process.exit(1);
+  }
+
+  let answers;
+  try {
+    answers = args.yes
+      ? answersFromFlags(args)
+      : await promptForAnswers(args, schema, existing);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const collisions = findCollisions(existing, answers);
+  if (collisions.length > 0) {
+    console.error("❌ The new pack collides with an existing pack or page:");
+    collisions.forEach((collision) => console.error(`  ❌ ${collision}`));
+    process.exit(1);
+  }
+
+  const pack = buildPack(template, answers);
+  const validate = createPackValidator(schema);
+
+  if (!validate(pack)) {
+    console.error("❌ The generated pack does not match schema.json:");
+    validate.errors.forEach((error) =>
+      console.error(`  ❌ ${describeSchemaError(error)}`),
+    );
+    process.exit(1);
+  }
+
+  const outputPath = path.join(packsDir, `${pack.slug}.json`);
+  const content = await prettier.format(JSON.stringify(pack, null, 2), {
+    ...((await prettier.resolveConfig(outputPath)) || {}),
+    filepath: outputPath,
+  });
+
+  if (args["dry-run"]) {
+    console.log(content);
+    process.exit(0);
+  }
+
+  fs.writeFileSync(outputPath, content, "utf-8");
+
+  console.log(`\n✅ Intelligence pack created!`);
+  console.log(`📄 Output: ${path.relative(rootDir, outputPath)}`);
+  console.log(
+    "   Fill in features, pricing, quickstart and commands, then run `npm run validate:packs`.",
+  );
+  process.exit(0);
+}
+
+main();
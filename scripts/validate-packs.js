@@ -9,58 +9,16 @@
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import Ajv from "ajv";
+import { loadPackSchema } from "./lib/pack-categories.js";
+import { loadCoreReleases } from "./lib/pack-compatibility.js";
+import { createPackValidator, describeSchemaError } from "./lib/pack-schema.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const packsDir = path.join(__dirname, "../src/data/intelligence-packs");
-const schemaPath = path.join(packsDir, "schema.json");
-
-// Initialize AJV validator
-const ajv = new Ajv({
-  allErrors: true,
-  verbose: true,
-  strict: false,
-});
-
-// Add custom format validator for URIs
-ajv.addFormat("uri", /^https?:\/\/.+/i);
+const rootDir = path.join(__dirname, "..");
+const packsDir = path.join(rootDir, "src/data/intelligence-packs");
 
 function formatError(error) {
-  const { instancePath, keyword, params, message } = error;
-
-  let output = `  ❌ ${keyword}`;
-
-  if (instancePath) {
-    output += ` at ${instancePath}`;
-  }
-
-  output += ": " + message;
-
-  if (params) {
-    if (params.allowedValues) {
-      output += ` (allowed: ${params.allowedValues.join(", ")})`;
-    }
-    if (params.pattern) {
-      output += ` (pattern: ${params.pattern})`;
-    }
-    if (params.limit !== undefined) {
-      if (
-        keyword === "minLength" ||
-        keyword === "minimum" ||
-        keyword === "minItems"
-      ) {
-        output += ` (minimum: ${params.limit})`;
-      } else if (
-        keyword === "maxLength" ||
-        keyword === "maximum" ||
-        keyword === "maxItems"
-      ) {
-        output += ` (maximum: ${params.limit})`;
-      }
-    }
-  }
-
-  return output;
+  return `  ❌ ${describeSchemaError(error)}`;
 }
 
 function validatePackFile(filePath) {
@@ -88,21 +46,29 @@ function validateAgainstSchema(pack, schema, validate) {
 }
 
 function main() {
-  // Load schema
+  // Load schema (category enum from src/data/pack-categories.json)
   let schema;
   try {
-    const schemaContent = fs.readFileSync(schemaPath, "utf-8");
-    schema = JSON.parse(schemaContent);
+    ({ schema } = loadPackSchema(rootDir));
     console.log(`📋 Schema loaded\n`);
   } catch (error) {
     console.error(`❌ Failed to load schema: ${error.message}`);
     process.exit(1);
   }
 
+  // Huitzo Core releases that `installation.core` ranges are matched against
+  try {
+    const { releases } = loadCoreReleases(rootDir);
+    console.log(`📋 ${releases.length} Huitzo Core release(s) loaded\n`);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
   // Compile schema
   let validate;
   try {
-    validate = ajv.compile(schema);
+    validate = createPackValidator(schema);
   } catch (error) {
     console.error(`❌ Failed to compile schema: ${error.message}`);
     process.exit(1);
@@ -1,20 +1,26 @@
 #!/usr/bin/env node
 
 /**
- * Validate roadmap schema
- * This script validates the roadmap JSON file against the schema
+ * Validate roadmap schema and milestone semantics
+ * This script validates the roadmap JSON file against the schema, then checks
+ * status/progress/date consistency, unique ids, ordering and staleness
+ * (see scripts/lib/roadmap-rules.js). Errors fail the run; warnings do not.
  * Run: npm run validate:roadmap
+ * Pin "today" for reproducible date checks: npm run validate:roadmap -- --today 2026-01-31
  */
 
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { parseArgs } from "util";
 import Ajv from "ajv";
+import { checkRoadmap } from "./lib/roadmap-rules.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const dataDir = path.join(__dirname, "../src/data");
 const roadmapPath = path.join(dataDir, "roadmap.json");
 const schemaPath = path.join(dataDir, "roadmap.schema.json");
+const packsDir = path.join(dataDir, "intelligence-packs");
 
 // Initialize AJV validator
 const ajv = new Ajv({
@@ -69,7 +75,48 @@ function formatError(error) {
   return output;
 }
 
+function formatFinding({ ruleId, severity, path: pointer, message }) {
+  const icon = severity === "error" ? "❌" : "⚠️ ";
+  return `  ${icon} ${ruleId} at ${pointer}: ${message}`;
+}
+
+function loadPacks() {
+  return fs
+    .readdirSync(packsDir)
+    .filter((file) => file.endsWith(".json") && file !== "schema.json")
+    .map((file) => {
+      const pack = JSON.parse(
+        fs.readFileSync(path.join(packsDir, file), "utf-8"),
+      );
+      return { file, id: pack.id, slug: pack.slug };
+    });
+}
+
+function getToday() {
+  let values;
+  try {
+    ({ values } = parseArgs({ options: { today: { type: "string" } } }));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error("Usage: npm run validate:roadmap -- [--today YYYY-MM-DD]");
+    process.exit(2);
+  }
+
+  if (!values.today) {
+    return new Date().toISOString().slice(0, 10);
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(values.today)) {
+    console.error(
+      `❌ --today must be a YYYY-MM-DD date, got "${values.today}"`,
+    );
+    process.exit(2);
+  }
+  return values.today;
+}
+
 function main() {
+  const today = getToday();
+
   // Load schema
   let schema;
   try {
@@ -113,6 +160,38 @@ function main() {
     process.exit(1);
   }
 
+  console.log("✅ Roadmap matches the schema");
+
+  // Milestones reference packs by id
+  let packs;
+  try {
+    packs = loadPacks();
+  } catch (error) {
+    console.error(`❌ Failed to load intelligence packs: ${error.message}`);
+    process.exit(1);
+  }
+
+  // Semantic checks only make sense once the shape is known to be right
+  const findings = checkRoadmap(roadmap, { packs, today });
+  const errorCount = findings.filter((f) => f.severity === "error").length;
+  const warningCount = findings.length - errorCount;
+
+  console.log(`\n🔎 Checking milestone semantics (today: ${today})\n`);
+
+  if (findings.length > 0) {
+    const log = errorCount > 0 ? console.error : console.warn;
+    log(
+      `${errorCount > 0 ? "❌" : "⚠️ "} ${errorCount} error(s), ${warningCount} warning(s):`,
+    );
+    findings.forEach((finding) => log(formatFinding(finding)));
+    console.log("");
+  }
+
+  if (errorCount > 0) {
+    console.error("❌ Roadmap validation failed");
+    process.exit(1);
+  }
+
   console.log("✅ Roadmap validated successfully!");
   process.exit(0);
 }
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Validate the JSON-LD structured data of the built site
+ * Reads every HTML page of a build, parses its `application/ld+json` scripts
+ * and checks them against the schema.org types the site uses
+ * (scripts/lib/structured-data-rules.js). `{"@id"}` references must resolve
+ * to a node on the same page.
+ * Run: npm run build && npm run validate:structured-data [-- --dir dist]
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { checkJsonLd } from "./lib/structured-data-rules.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.join(__dirname, "..");
+
+const JSON_LD_SCRIPT =
+  /<script\b[^>]*\btype=["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+
+function findHtmlFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return findHtmlFiles(entryPath);
+    return entry.name.endsWith(".html") ? [entryPath] : [];
+  });
+}
+
+/**
+ * Findings and schema.org types of one page
+ */
+function checkPage(html) {
+  const findings = [];
+  const types = [];
+  const ids = new Set();
+  const references = [];
+
+  let index = 0;
+  for (const [, body] of html.matchAll(JSON_LD_SCRIPT)) {
+    const where = `script #${++index}`;
+
+    let document;
+    try {
+      document = JSON.parse(body);
+    } catch (error) {
+      findings.push({
+        where,
+        path: "/",
+        message: `invalid JSON: ${error.message}`,
+      });
+      continue;
+    }
+
+    const result = checkJsonLd(document);
+    findings.push(...result.findings.map((finding) => ({ where, ...finding })));
+    types.push(...result.types);
+    result.ids.forEach((id) => ids.add(id));
+    references.push(
+      ...result.references.map((reference) => ({ where, ...reference })),
+    );
+  }
+
+  for (const { where, path: pointer, id } of references) {
+    if (!ids.has(id)) {
+      findings.push({
+        where,
+        path: pointer,
+        message: `references "${id}", which no node on the page defines`,
+      });
+    }
+  }
+
+  return { findings, types, scripts: index };
+}
+
+function main() {
+  let args;
+  try {
+    ({ values: args } = parseArgs({
+      options: { dir: { type: "string", default: "dist" } },
+    }));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(2);
+  }
+
+  const buildDir = path.resolve(rootDir, args.dir);
+  if (!fs.existsSync(buildDir)) {
+    console.error(`❌ ${args.dir} not found; run \`npm run build\` first`);
+    process.exit(2);
+  }
+
+  const pages = findHtmlFiles(buildDir).sort();
+  console.log(
+    `🔍 Validating structured data in ${args.dir} (${pages.length} pages)\n`,
+  );
+
+  const typeCounts = new Map();
+  let scriptCount = 0;
+  let failedPages = 0;
+  let errorCount = 0;
+
+  for (const file of pages) {
+    const page = path.relative(buildDir, file).split(path.sep).join("/");
+    const { findings, types, scripts } = checkPage(
+      fs.readFileSync(file, "utf-8"),
+    );
+
+    scriptCount += scripts;
+    types.forEach((type) =>
+      typeCounts.set(type, (typeCounts.get(type) || 0) + 1),
+    );
+    if (findings.length === 0) continue;
+
+    failedPages++;
+    errorCount += findings.length;
+    console.error(`❌ ${page}`);
+    findings.forEach(({ where, path: pointer, message }) =>
+      console.error(`  ❌ ${where} at ${pointer || "/"}: ${message}`),
+    );
+    console.error("");
+  }
+
+  const summary = [...typeCounts]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([type, count]) => `${type} ×${count}`)
+    .join(", ");
+  console.log(`📊 ${scriptCount} JSON-LD script(s): ${summary || "none"}\n`);
+
+  if (errorCount > 0) {
+    console.error(
+      `❌ ${errorCount} error(s) on ${failedPages} of ${pages.length} page(s)`,
+    );
+    process.exit(1);
+  }
+
+  console.log(`✅ Structured data on all ${pages.length} pages is valid`);
+  process.exit(0);
+}
+
+main();
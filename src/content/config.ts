@@ -65,6 +65,42 @@ const postCollection = defineCollection({
   }),
 });
 
+// Intelligence packs that docs pages can belong to
+const packs = Object.entries(
+  import.meta.glob<{ id: string; slug: string }>(
+    "../data/intelligence-packs/*.json",
+    { eager: true, import: "default" },
+  ),
+)
+  .filter(([file]) => !file.endsWith("schema.json"))
+  .map(([, pack]) => pack);
+
+const packDocsCollection = defineCollection({
+  loader: glob({
+    pattern: ["**/*.md", "**/*.mdx"],
+    base: "src/data/pack-docs",
+  }),
+  schema: z.object({
+    pack: z.string().refine(
+      (id) => packs.some((pack) => pack.id === id),
+      (id) => {
+        const bySlug = packs.find((pack) => pack.slug === id);
+        return {
+          message: bySlug
+            ? `"${id}" is a pack slug; use its id "${bySlug.id}"`
+            : `Unknown intelligence pack id "${id}"`,
+        };
+      },
+    ),
+    title: z.string(),
+    description: z.string().optional(),
+    type: z.enum(["guide", "faq", "reference"]).default("guide"),
+    order: z.number().int().optional(),
+    draft: z.boolean().optional(),
+  }),
+});
+
 export const collections = {
   post: postCollection,
+  packDocs: packDocsCollection,
 };
@@ -0,0 +1,92 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import type { AstroIntegration } from "astro";
+
+import {
+  formatPackValidationIssues,
+  validateIntelligencePack,
+  type PackValidationIssue,
+} from "../utils/intelligence-pack-validation";
+
+const PACKS_DIR = "src/data/intelligence-packs";
+
+/**
+ * Validate every pack file on disk, including JSON syntax errors
+ */
+function validatePackFiles(root: string): PackValidationIssue[] {
+  const packsDir = path.join(root, PACKS_DIR);
+  const issues: PackValidationIssue[] = [];
+
+  const files = fs
+    .readdirSync(packsDir)
+    .filter((file) => file.endsWith(".json") && file !== "schema.json")
+    .sort();
+
+  for (const file of files) {
+    const relativePath = `${PACKS_DIR}/${file}`;
+    let pack: unknown;
+
+    try {
+      pack = JSON.parse(fs.readFileSync(path.join(packsDir, file), "utf-8"));
+    } catch (error) {
+      issues.push({
+        file: relativePath,
+        errors: [`JSON Parse Error: ${(error as Error).message}`],
+      });
+      continue;
+    }
+
+    const errors = validateIntelligencePack(pack);
+    if (errors.length > 0) {
+      issues.push({ file: relativePath, errors });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Surface invalid intelligence packs in `astro dev` through the Vite error overlay.
+ * Production builds are guarded by loadAllIntelligencePacks(), which throws instead.
+ */
+export default (): AstroIntegration => {
+  let root = process.cwd();
+
+  return {
+    name: "huitzo-pack-validation",
+
+    hooks: {
+      "astro:config:done": ({ config }) => {
+        root = fileURLToPath(config.root);
+      },
+
+      "astro:server:setup": ({ server, logger }) => {
+        const packsDir = path.join(root, PACKS_DIR);
+
+        const report = () => {
+          const issues = validatePackFiles(root);
+          if (issues.length === 0) return;
+
+          const message = formatPackValidationIssues(issues);
+          logger.warn(message);
+          server.ws.send({
+            type: "error",
+            err: {
+              message,
+              stack: "",
+              id: path.join(root, issues[0].file),
+              plugin: "huitzo-pack-validation",
+            },
+          });
+        };
+
+        // Overlays only reach connected clients, so re-check on every (re)connect
+        server.ws.on("connection", report);
+        server.watcher.on("change", (file) => {
+          if (file.startsWith(packsDir) && file.endsWith(".json")) report();
+        });
+      },
+    },
+  };
+};
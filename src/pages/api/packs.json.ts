@@ -0,0 +1,15 @@
+import type { APIRoute } from "astro";
+
+import { loadAllIntelligencePacks } from "~/utils/intelligence-packs";
+import {
+  buildPackRegistryIndex,
+  registryResponse,
+} from "~/utils/pack-registry";
+
+/**
+ * Catalog of every intelligence pack: /api/packs.json
+ */
+export const GET: APIRoute = async () => {
+  const packs = await loadAllIntelligencePacks();
+  return registryResponse(buildPackRegistryIndex(packs));
+};
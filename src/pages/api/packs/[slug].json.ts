@@ -0,0 +1,21 @@
+import type { APIRoute, GetStaticPaths } from "astro";
+
+import {
+  loadAllIntelligencePacks,
+  type IntelligencePack,
+} from "~/utils/intelligence-packs";
+import { buildPackRecord, registryResponse } from "~/utils/pack-registry";
+
+export const getStaticPaths = (async () => {
+  const packs = await loadAllIntelligencePacks();
+  return packs.map((pack) => ({
+    params: { slug: pack.slug },
+    props: { pack },
+  }));
+}) satisfies GetStaticPaths;
+
+/**
+ * Full record for a single intelligence pack: /api/packs/[slug].json
+ */
+export const GET: APIRoute<{ pack: IntelligencePack }> = ({ props }) =>
+  registryResponse(buildPackRecord(props.pack));
@@ -0,0 +1,17 @@
+import type { APIRoute } from "astro";
+
+import { buildCommandPaletteIndex } from "~/utils/command-palette-index";
+import { loadAllIntelligencePacks } from "~/utils/intelligence-packs";
+import { getRoadmap } from "~/utils/roadmap";
+
+/**
+ * Index of the site-wide command palette: /command-palette.json
+ */
+export const GET: APIRoute = async () => {
+  const packs = await loadAllIntelligencePacks();
+  const index = buildCommandPaletteIndex(packs, getRoadmap().milestones);
+
+  return new Response(JSON.stringify(index), {
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+  });
+};
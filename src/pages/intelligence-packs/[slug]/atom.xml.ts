@@ -0,0 +1,21 @@
+import type { APIRoute, GetStaticPaths } from "astro";
+
+import {
+  loadAllIntelligencePacks,
+  type IntelligencePack,
+} from "~/utils/intelligence-packs";
+import { getPackFeed, packFeedAtomResponse } from "~/utils/pack-changelog";
+
+export const getStaticPaths = (async () => {
+  const packs = await loadAllIntelligencePacks();
+  return packs.map((pack) => ({
+    params: { slug: pack.slug },
+    props: { pack },
+  }));
+}) satisfies GetStaticPaths;
+
+/**
+ * Releases of a single intelligence pack as Atom: /intelligence-packs/[slug]/atom.xml
+ */
+export const GET: APIRoute<{ pack: IntelligencePack }> = ({ props }) =>
+  packFeedAtomResponse(getPackFeed(props.pack));
@@ -0,0 +1,21 @@
+import type { APIRoute, GetStaticPaths } from "astro";
+
+import {
+  loadAllIntelligencePacks,
+  type IntelligencePack,
+} from "~/utils/intelligence-packs";
+import { getPackFeed, packFeedRssResponse } from "~/utils/pack-changelog";
+
+export const getStaticPaths = (async () => {
+  const packs = await loadAllIntelligencePacks();
+  return packs.map((pack) => ({
+    params: { slug: pack.slug },
+    props: { pack },
+  }));
+}) satisfies GetStaticPaths;
+
+/**
+ * Releases of a single intelligence pack as RSS: /intelligence-packs/[slug]/feed.xml
+ */
+export const GET: APIRoute<{ pack: IntelligencePack }> = ({ props }) =>
+  packFeedRssResponse(getPackFeed(props.pack));
@@ -0,0 +1,12 @@
+import type { APIRoute } from "astro";
+
+import { loadAllIntelligencePacks } from "~/utils/intelligence-packs";
+import { getAllPacksFeed, packFeedAtomResponse } from "~/utils/pack-changelog";
+
+/**
+ * Releases of every intelligence pack as Atom: /intelligence-packs/atom.xml
+ */
+export const GET: APIRoute = async () => {
+  const packs = await loadAllIntelligencePacks();
+  return packFeedAtomResponse(getAllPacksFeed(packs));
+};
@@ -0,0 +1,12 @@
+import type { APIRoute } from "astro";
+
+import { loadAllIntelligencePacks } from "~/utils/intelligence-packs";
+import { getAllPacksFeed, packFeedRssResponse } from "~/utils/pack-changelog";
+
+/**
+ * Releases of every intelligence pack as RSS: /intelligence-packs/feed.xml
+ */
+export const GET: APIRoute = async () => {
+  const packs = await loadAllIntelligencePacks();
+  return packFeedRssResponse(getAllPacksFeed(packs));
+};
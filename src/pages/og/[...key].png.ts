@@ -0,0 +1,25 @@
+import type { APIRoute, GetStaticPaths } from "astro";
+
+import {
+  getOgImages,
+  renderOgImagePng,
+  type OgImageCard,
+} from "~/utils/og-images";
+
+export const getStaticPaths = (async () => {
+  const images = await getOgImages();
+  return images.map(({ key, card }) => ({
+    params: { key },
+    props: { card },
+  }));
+}) satisfies GetStaticPaths;
+
+/**
+ * Open Graph image of a pack, category or the roadmap: /og/[...key].png
+ */
+export const GET: APIRoute<{ card: OgImageCard }> = async ({ props }) => {
+  const png = await renderOgImagePng(props.card);
+  return new Response(new Uint8Array(png), {
+    headers: { "Content-Type": "image/png" },
+  });
+};
@@ -61,6 +61,14 @@ export interface MetaData {
 
   openGraph?: MetaDataOpenGraph;
   twitter?: MetaDataTwitter;
+
+  /** Alternate representations of the page, e.g. its RSS feed */
+  alternates?: MetaDataAlternate[];
+}
+
+export interface MetaDataAlternate {
+  type: string;
+  href: string;
 }
 
 export interface MetaDataRobots {
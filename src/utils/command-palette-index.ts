@@ -0,0 +1,98 @@
+/**
+ * Command Palette Index
+ * Every pack, pack command, quickstart step and roadmap milestone as a
+ * command palette item. Built at build time and served as /command-palette.json.
+ */
+
+import type { CommandPaletteItem } from "./command-palette";
+import type { IntelligencePack } from "./intelligence-packs";
+import { getPackCategory } from "./pack-categories";
+import { getCommandAnchor } from "./pack-commands";
+import { tokenize } from "./pack-search";
+import { getPermalink } from "./permalinks";
+import { getRoadmapStatusInfo, type RoadmapMilestone } from "./roadmap";
+
+function getTerms(...texts: string[]): string[] {
+  return [...new Set(texts.flatMap((text) => tokenize(text)))];
+}
+
+function formatDate(date: string): string {
+  return new Date(date).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "short",
+    timeZone: "UTC",
+  });
+}
+
+function getPackItems(pack: IntelligencePack): CommandPaletteItem[] {
+  const href = getPermalink(`intelligence-packs/${pack.slug}`);
+
+  return [
+    {
+      kind: "pack",
+      title: pack.name,
+      detail: pack.tagline,
+      href,
+      icon: pack.icon,
+      titleTerms: getTerms(pack.name),
+      terms: getTerms(
+        pack.slug,
+        pack.tagline,
+        getPackCategory(pack.category).label,
+      ),
+    },
+    ...(pack.commands || []).map((command) => ({
+      kind: "command" as const,
+      title: command.name,
+      detail: `${pack.name} · ${command.description}`,
+      href: `${href}#${getCommandAnchor(command.name)}`,
+      copy: command.usage || command.name,
+      icon: pack.icon,
+      titleTerms: getTerms(command.name),
+      terms: getTerms(
+        ...(command.aliases || []),
+        command.description,
+        pack.name,
+      ),
+    })),
+    ...(pack.quickstart || []).map((step) => ({
+      kind: "quickstart" as const,
+      title: step.title,
+      detail: `${pack.name} · ${step.command}`,
+      href: `${href}#quickstart-step-${step.step}`,
+      copy: step.command,
+      icon: pack.icon,
+      titleTerms: getTerms(step.title),
+      terms: getTerms(step.command, step.description || "", pack.name),
+    })),
+  ];
+}
+
+function getMilestoneItem(milestone: RoadmapMilestone): CommandPaletteItem {
+  const status = getRoadmapStatusInfo(milestone.status);
+  const date = milestone.date || milestone.targetDate;
+
+  return {
+    kind: "milestone",
+    title: milestone.title,
+    detail: date ? `${status.text} · ${formatDate(date)}` : status.text,
+    href: `${getPermalink("roadmap")}#milestone-${milestone.id}`,
+    icon: status.icon,
+    titleTerms: getTerms(milestone.title),
+    terms: getTerms(milestone.description, status.text),
+  };
+}
+
+/**
+ * The palette index: each pack followed by its commands and quickstart steps,
+ * then the roadmap milestones. Archived packs are left out.
+ */
+export function buildCommandPaletteIndex(
+  packs: IntelligencePack[],
+  milestones: RoadmapMilestone[],
+): CommandPaletteItem[] {
+  return [
+    ...packs.filter((pack) => pack.status !== "archived").flatMap(getPackItems),
+    ...milestones.map(getMilestoneItem),
+  ];
+}
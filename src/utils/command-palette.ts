@@ -0,0 +1,86 @@
+/**
+ * Command Palette
+ * Items and ranking for the site-wide Ctrl/Cmd+K palette (CommandPalette.astro).
+ * The index is built at build time by command-palette-index.ts and served as
+ * /command-palette.json; this module only ranks it, so it stays small enough
+ * for every page to load.
+ */
+
+import { scoreTerm, tokenize } from "./pack-search";
+
+export type CommandPaletteKind =
+  | "pack"
+  | "command"
+  | "quickstart"
+  | "milestone";
+
+export interface CommandPaletteItem {
+  kind: CommandPaletteKind;
+  title: string;
+  /** Second line: pack, description or milestone status */
+  detail: string;
+  href: string;
+  /** Command line copied instead of navigating (Shift+Enter) */
+  copy?: string;
+  icon?: string;
+  /** Terms of the title, which weigh more than the rest */
+  titleTerms: string[];
+  /** Terms of the detail, aliases and owning pack */
+  terms: string[];
+}
+
+/**
+ * Label shown next to each kind of item
+ */
+export const COMMAND_PALETTE_KIND_LABELS: Record<CommandPaletteKind, string> = {
+  pack: "Pack",
+  command: "Command",
+  quickstart: "Quick start",
+  milestone: "Roadmap",
+};
+
+/** Results listed at most */
+export const COMMAND_PALETTE_LIMIT = 20;
+
+function scoreTerms(query: string, terms: string[]): number {
+  return Math.max(0, ...terms.map((term) => scoreTerm(query, term)));
+}
+
+/**
+ * Rank items against a query. Every query term must match the title or the
+ * other terms; title matches count double. Equal scores keep index order, so
+ * results are stable. Without a query, the packs are listed.
+ */
+export function searchCommandPalette(
+  items: CommandPaletteItem[],
+  query: string,
+  limit: number = COMMAND_PALETTE_LIMIT,
+): CommandPaletteItem[] {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) {
+    return items.filter((item) => item.kind === "pack").slice(0, limit);
+  }
+
+  const results: { item: CommandPaletteItem; score: number; index: number }[] =
+    [];
+
+  items.forEach((item, index) => {
+    let score = 0;
+
+    for (const queryTerm of queryTerms) {
+      const termScore = Math.max(
+        2 * scoreTerms(queryTerm, item.titleTerms),
+        scoreTerms(queryTerm, item.terms),
+      );
+      if (termScore === 0) return;
+      score += termScore;
+    }
+
+    results.push({ item, score, index });
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(({ item }) => item);
+}
@@ -76,6 +76,15 @@ export const adaptOpenGraphImages = async (
 
   const adaptedImages = await Promise.all(
     images.map(async (image) => {
+      // Site-relative images (e.g. the generated /og/ cards) are final, serve them as is
+      if (image?.url?.startsWith("/") && !image.url.startsWith("//")) {
+        return {
+          url: String(new URL(image.url, astroSite)),
+          width: image.width,
+          height: image.height,
+        };
+      }
+
       if (image?.url) {
         const resolvedImage = (await findImage(image.url)) as
           | ImageMetadata
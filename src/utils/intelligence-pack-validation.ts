@@ -0,0 +1,60 @@
+/**
+ * Intelligence Pack Validation
+ * Validates pack data against schema.json with the same Ajv rules as `npm run validate:packs`
+ * (the category enum comes from src/data/pack-categories.json)
+ */
+
+import schema from "../data/intelligence-packs/schema.json";
+import categoryRegistry from "../data/pack-categories.json";
+import { applyCategoryRegistry } from "../../scripts/lib/pack-categories.js";
+import {
+  createPackValidator,
+  describeSchemaError,
+} from "../../scripts/lib/pack-schema.js";
+
+export interface PackValidationIssue {
+  /** Project-relative path of the pack file, e.g. src/data/intelligence-packs/financial.json */
+  file: string;
+  /** One entry per schema violation, each including the JSON path */
+  errors: string[];
+}
+
+let validate: ReturnType<typeof createPackValidator> | undefined;
+
+/**
+ * Validate a single pack against schema.json
+ * Returns a list of human-readable errors (empty when the pack is valid)
+ */
+export function validateIntelligencePack(pack: unknown): string[] {
+  validate ??= createPackValidator(
+    applyCategoryRegistry(schema, categoryRegistry),
+  );
+
+  if (validate(pack)) {
+    return [];
+  }
+
+  return (validate.errors || []).map(describeSchemaError);
+}
+
+/**
+ * Format validation issues as a multi-line report grouped by file
+ */
+export function formatPackValidationIssues(
+  issues: PackValidationIssue[],
+): string {
+  const lines = [
+    `${issues.length} intelligence pack(s) do not match schema.json:`,
+  ];
+
+  for (const issue of issues) {
+    lines.push("", issue.file);
+    for (const error of issue.errors) {
+      lines.push(`  - ${error}`);
+    }
+  }
+
+  lines.push("", "Run `npm run validate:packs` for the full report.");
+
+  return lines.join("\n");
+}
@@ -0,0 +1,275 @@
+/**
+ * Intelligence pack types generated from src/data/intelligence-packs/schema.json
+ * and src/data/pack-categories.json
+ * Do not edit by hand. Regenerate with: npm run generate:pack-types
+ */
+
+export const INTELLIGENCE_PACK_CATEGORY_VALUES = [
+  "finance",
+  "analytics",
+  "automation",
+  "integration",
+  "data",
+  "communication",
+  "productivity",
+  "other",
+] as const;
+export type IntelligencePackCategory =
+  (typeof INTELLIGENCE_PACK_CATEGORY_VALUES)[number];
+
+export const INTELLIGENCE_PACK_STATUS_VALUES = [
+  "active",
+  "beta",
+  "coming-soon",
+  "idea-phase",
+  "deprecated",
+  "archived",
+] as const;
+export type IntelligencePackStatus =
+  (typeof INTELLIGENCE_PACK_STATUS_VALUES)[number];
+
+export const INTELLIGENCE_PACK_PRICING_TIER_AVAILABILITY_VALUES = [
+  "available",
+  "coming-soon",
+  "contact-sales",
+] as const;
+export type IntelligencePackPricingTierAvailability =
+  (typeof INTELLIGENCE_PACK_PRICING_TIER_AVAILABILITY_VALUES)[number];
+
+export const INTELLIGENCE_PACK_PRICING_TIER_PRICE_PERIOD_VALUES = [
+  "month",
+  "year",
+  "one-time",
+] as const;
+export type IntelligencePackPricingTierPricePeriod =
+  (typeof INTELLIGENCE_PACK_PRICING_TIER_PRICE_PERIOD_VALUES)[number];
+
+export const INTELLIGENCE_PACK_PRICING_LIMIT_PER_VALUES = [
+  "day",
+  "week",
+  "month",
+  "year",
+] as const;
+export type IntelligencePackPricingLimitPer =
+  (typeof INTELLIGENCE_PACK_PRICING_LIMIT_PER_VALUES)[number];
+
+export const INTELLIGENCE_PACK_COMMAND_PARAMETER_TYPE_VALUES = [
+  "string",
+  "number",
+  "integer",
+  "boolean",
+  "date",
+] as const;
+export type IntelligencePackCommandParameterType =
+  (typeof INTELLIGENCE_PACK_COMMAND_PARAMETER_TYPE_VALUES)[number];
+
+/** Semantic version (MAJOR.MINOR.PATCH) */
+export type IntelligencePackVersion = string;
+
+/** A usage limit of a pricing tier */
+export interface IntelligencePackPricingLimit {
+  /** Identifier of what is limited; the same metric in another tier is compared against this one */
+  metric: string;
+  /** What is limited, as shown in the comparison table */
+  label: string;
+  /** Maximum quantity, or `unlimited` */
+  value: number | "unlimited";
+  /** Period the limit resets over; omit for a standing limit */
+  per?: IntelligencePackPricingLimitPer;
+}
+
+/** A pricing tier */
+export interface IntelligencePackPricingTier {
+  /** Tier identifier, unique within the pack */
+  id: string;
+  /** Display name of the tier */
+  name: string;
+  /** One-line summary of who the tier is for */
+  description?: string;
+  /** `available` tiers can be used today at `price`, `coming-soon` tiers are announced but not yet offered, `contact-sales` tiers are priced on request */
+  availability: IntelligencePackPricingTierAvailability;
+  /** Price of the tier; required when the tier is available */
+  price?: {
+    /** Amount in `pricing.currency`, 0 for a free tier */
+    amount: number;
+    /** Billing period */
+    period?: IntelligencePackPricingTierPricePeriod;
+  };
+  /** Quantified usage limits, lined up across tiers by `metric` in the comparison table */
+  limits?: IntelligencePackPricingLimit[];
+  /** Features included in the tier */
+  features?: string[];
+  /** Show the tier as the recommended one */
+  highlighted?: boolean;
+}
+
+/** Semver range in npm syntax, e.g. >=0.1.0, ^1.2.0 or 1.x || 2.x */
+export type IntelligencePackVersionRange = string;
+
+/** Another intelligence pack a pack needs */
+export interface IntelligencePackDependency {
+  /** `id` of the required pack */
+  id: string;
+  /** Versions of the required pack that work; any version when omitted */
+  version?: IntelligencePackVersionRange;
+}
+
+/** A command argument or flag */
+export interface IntelligencePackCommandParameter {
+  /** Argument or flag name (without leading dashes) */
+  name: string;
+  /** What the value controls */
+  description?: string;
+  /** Value type */
+  type: IntelligencePackCommandParameterType;
+  /** Whether the value must be given */
+  required?: boolean;
+  /** Value used when omitted */
+  default?: string | number | boolean;
+  /** Allowed values */
+  enum?: Array<string | number>;
+  /** Example value shown in the command builder */
+  example?: string | number | boolean;
+}
+
+/** One command of a demo and the output it prints */
+export interface IntelligencePackDemoStep {
+  /** Command typed at the prompt; it must parse against the pack's `commands` */
+  command: string;
+  /** Output lines. Prefix a line with `s>` (success), `i>` (info), `w>` (warning), `e>` (error), `!` (highlight) or `>` (plain text); lines without a prefix are dimmed */
+  output?: string[];
+  /** Milliseconds between running the command and its first output line */
+  delay?: number;
+  /** Milliseconds between output lines */
+  lineDelay?: number;
+  /** Milliseconds to wait after the output before the next command */
+  pause?: number;
+}
+
+/** A terminal session: commands typed at the prompt, each followed by its output */
+export interface IntelligencePackDemo {
+  /** Identifier of the demo, unique within the pack; the pack page links to it as #demo-<id> */
+  id: string;
+  /** Title shown above the terminal */
+  title: string;
+  /** What the demo shows */
+  description?: string;
+  /** Commands in the order they are typed */
+  steps: IntelligencePackDemoStep[];
+}
+
+/** A single release of the pack */
+export interface IntelligencePackChangelogEntry {
+  /** Semantic version (MAJOR.MINOR.PATCH) */
+  version: IntelligencePackVersion;
+  /** Release date */
+  date: string;
+  /** One-line summary of the release */
+  summary?: string;
+  /** Development status of a pack */
+  status?: IntelligencePackStatus;
+  /** New commands, features and options */
+  added?: string[];
+  /** Changes to existing behaviour */
+  changed?: string[];
+  /** Removed commands, features and options */
+  removed?: string[];
+}
+
+/** Schema for Huitzo plugin definitions. This is the single source of truth for plugin structure. */
+export interface IntelligencePack {
+  /** Unique identifier for the plugin (kebab-case, lowercase with hyphens) */
+  id: string;
+  /** URL-friendly slug for the plugin (kebab-case, lowercase with hyphens) */
+  slug: string;
+  /** Human-readable name of the plugin */
+  name: string;
+  /** Semantic version (MAJOR.MINOR.PATCH) */
+  version: IntelligencePackVersion;
+  /** Author or organization that created the plugin */
+  author: string;
+  /** Icon identifier for the plugin (emoji or icon name from @iconify) */
+  icon: string;
+  /** Short one-liner description of what the plugin does */
+  tagline: string;
+  /** Longer, detailed description explaining the plugin's functionality and benefits */
+  description: string;
+  /** Category classification for the plugin. Allowed values are the category ids in src/data/pack-categories.json */
+  category: IntelligencePackCategory;
+  /** Development status of a pack */
+  status: IntelligencePackStatus;
+  /** List of key features provided by the plugin */
+  features?: string[];
+  /** Pricing tiers and availability for the plugin */
+  pricing?: {
+    /** ISO 4217 code of the currency every tier price is in */
+    currency?: string;
+    /** Pricing tiers in display order, usually cheapest first */
+    tiers: IntelligencePackPricingTier[];
+  };
+  /** Installation instructions and requirements for the plugin */
+  installation?: {
+    /** Command to install the plugin */
+    command: string;
+    /** Huitzo Core versions the pack installs on, as a semver range */
+    core?: IntelligencePackVersionRange;
+    /** Other intelligence packs that must be installed first */
+    dependencies?: IntelligencePackDependency[];
+    /** Other prerequisites shown as written, such as accounts or integrations (use `core` and `dependencies` for versions) */
+    requirements?: string[];
+  };
+  /** Step-by-step quickstart guide for the plugin */
+  quickstart?: Array<{
+    /** Step number (sequential, starting from 1) */
+    step: number;
+    /** Title of the step */
+    title: string;
+    /** Command to execute for this step */
+    command: string;
+    /** Additional description for the step */
+    description?: string;
+  }>;
+  /** Available CLI commands provided by the plugin */
+  commands?: Array<{
+    /** Command name as typed, either dotted (design.ui.generate) or space-separated subcommands (finance watchlist add) */
+    name: string;
+    /** What the command does */
+    description: string;
+    /** Command usage example */
+    usage?: string;
+    /** Alternative names that invoke the same command */
+    aliases?: string[];
+    /** Positional arguments, in order */
+    arguments?: IntelligencePackCommandParameter[];
+    /** Flags, passed as --name=value, --name value or (for booleans) --name */
+    flags?: IntelligencePackCommandParameter[];
+  }>;
+  /** Scripted terminal sessions played back on the pack page */
+  demos?: IntelligencePackDemo[];
+  /** External links related to the plugin */
+  links?: {
+    /** Link to plugin documentation */
+    documentation?: string;
+    /** Link to source code repository */
+    repository?: string;
+    /** Link to support or issue tracking */
+    support?: string;
+    /** Link to plugin website */
+    website?: string;
+  };
+  /** Ids of packs to recommend on this pack's page, most relevant first. They rank above packs that are only similar by category, features or commands */
+  related?: string[];
+  /** Release history, newest first. The first entry describes the current `version`; set `status` on a release that moves the pack to a new status */
+  changelog?: IntelligencePackChangelogEntry[];
+  /** Deprecation and retirement details, used when status is deprecated or archived */
+  lifecycle?: {
+    /** Id of the pack that replaces this one */
+    replacedBy?: string;
+    /** Date the pack stops working (deprecated) or was retired (archived) */
+    sunsetDate?: string;
+    /** How to move to the replacement, shown on the pack page */
+    migrationNotes?: string;
+  };
+  /** Slugs the pack was published under before a rename; each one redirects to the current slug */
+  previousSlugs?: string[];
+}
@@ -3,76 +3,35 @@
  * Automatically discover and load all intelligence pack JSON files using Vite's glob import
  */
 
-// Define the intelligence pack interface based on our schema
-export interface IntelligencePack {
-  id: string;
-  slug: string;
-  name: string;
-  version: string;
-  author: string;
-  icon: string;
-  tagline: string;
-  description: string;
-  category: string;
-  status:
-    | "active"
-    | "beta"
-    | "coming-soon"
-    | "idea-phase"
-    | "deprecated"
-    | "archived";
-  features?: string[];
-  pricing?: {
-    free?: {
-      available: boolean;
-      limits?: string;
-      features?: string[];
-    };
-    pro?: {
-      price?: string;
-      features?: string[];
-    };
-    enterprise?: {
-      price?: string;
-      features?: string[];
-    };
-  };
-  installation?: {
-    command: string;
-    requirements?: string[];
-  };
-  quickstart?: Array<{
-    step: number;
-    title: string;
-    command: string;
-    description?: string;
-  }>;
-  commands?: Array<{
-    name: string;
-    description: string;
-    usage?: string;
-  }>;
-  links?: {
-    documentation?: string;
-    repository?: string;
-    support?: string;
-    website?: string;
-  };
-  sourceCode?: boolean;
-  repository?: {
-    url: string;
-    type: string;
-    license: string;
-  };
-}
+import type { IntelligencePack } from "./intelligence-packs.generated";
+import {
+  formatPackValidationIssues,
+  validateIntelligencePack,
+  type PackValidationIssue,
+} from "./intelligence-pack-validation";
+import { PACK_CATEGORIES } from "./pack-categories";
+
+// Types are generated from schema.json (npm run generate:pack-types)
+export type {
+  IntelligencePack,
+  IntelligencePackCategory,
+  IntelligencePackStatus,
+} from "./intelligence-packs.generated";
+export {
+  INTELLIGENCE_PACK_CATEGORY_VALUES,
+  INTELLIGENCE_PACK_STATUS_VALUES,
+} from "./intelligence-packs.generated";
 
 /**
  * Load all intelligence packs from the intelligence-packs directory using Vite's glob import
  * Returns an array of intelligence pack objects
+ *
+ * Every pack is validated against schema.json. Production builds fail with a report of
+ * every invalid pack; in development invalid packs are skipped with a warning.
  */
 export async function loadAllIntelligencePacks(): Promise<IntelligencePack[]> {
   // Use Vite's glob import to get all JSON files except schema.json
-  const packModules = import.meta.glob<{ default: IntelligencePack }>(
+  const packModules = import.meta.glob<{ default: unknown }>(
     "../data/intelligence-packs/*.json",
     {
       eager: true,
@@ -80,6 +39,7 @@ export async function loadAllIntelligencePacks(): Promise<IntelligencePack[]> {
   );
 
   const packs: IntelligencePack[] = [];
+  const issues: PackValidationIssue[] = [];
 
   for (const [filepath, module] of Object.entries(packModules)) {
     // Skip schema.json
@@ -89,16 +49,23 @@ export async function loadAllIntelligencePacks(): Promise<IntelligencePack[]> {
 
     const pack = module.default;
 
-    // Validate required fields
-    if (pack && pack.id && pack.slug && pack.name && pack.status) {
-      packs.push(pack);
+    // Validate against schema.json
+    const errors = validateIntelligencePack(pack);
+    if (errors.length === 0) {
+      packs.push(pack as IntelligencePack);
     } else {
-      console.warn(
-        `Intelligence pack at ${filepath} is missing required fields`,
-      );
+      issues.push({ file: filepath.replace(/^\.\.\//, "src/"), errors });
     }
   }
 
+  if (issues.length > 0) {
+    const report = formatPackValidationIssues(issues);
+    if (import.meta.env.PROD) {
+      throw new Error(report);
+    }
+    console.warn(report);
+  }
+
   // Sort by status (active first) and then by name
   return packs.sort((a, b) => {
     if (a.status === "active" && b.status !== "active") return -1;
@@ -162,12 +129,37 @@ export async function getIntelligencePacksByCategory(
 }
 
 /**
- * Get all unique categories from intelligence packs
+ * Get the categories that have at least one intelligence pack, in registry order
  */
 export async function getAllCategories(): Promise<string[]> {
   const packs = await loadAllIntelligencePacks();
   const categories = new Set(packs.map((p) => p.category));
-  return Array.from(categories).sort();
+  return PACK_CATEGORIES.map((category) => category.id).filter((id) =>
+    categories.has(id),
+  );
+}
+
+/**
+ * The pack that replaces a deprecated or archived pack (`lifecycle.replacedBy`).
+ * Unknown ids fail production builds; in development they are ignored with a warning.
+ */
+export function getReplacementPack(
+  pack: IntelligencePack,
+  packs: IntelligencePack[],
+): IntelligencePack | null {
+  const replacedBy = pack.lifecycle?.replacedBy;
+  if (!replacedBy) return null;
+
+  const replacement = packs.find((candidate) => candidate.id === replacedBy);
+  if (!replacement) {
+    const report = `${pack.slug}: lifecycle.replacedBy references unknown intelligence pack id "${replacedBy}". Run \`npm run lint:packs\` for details.`;
+    if (import.meta.env.PROD) {
+      throw new Error(report);
+    }
+    console.warn(report);
+  }
+
+  return replacement || null;
 }
 
 /**
@@ -186,52 +178,6 @@ export async function getIntelligencePackStats() {
   };
 }
 
-/**
- * Category color mapping for visual differentiation
- */
-export const CATEGORY_COLORS = {
-  finance: {
-    badge: "bg-emerald-500/20 text-emerald-400 border-emerald-500/30",
-    accent: "emerald-500",
-    hover: "hover:border-emerald-500/50",
-  },
-  productivity: {
-    badge: "bg-blue-500/20 text-blue-400 border-blue-500/30",
-    accent: "blue-500",
-    hover: "hover:border-blue-500/50",
-  },
-  analytics: {
-    badge: "bg-purple-500/20 text-purple-400 border-purple-500/30",
-    accent: "purple-500",
-    hover: "hover:border-purple-500/50",
-  },
-  security: {
-    badge: "bg-red-500/20 text-red-400 border-red-500/30",
-    accent: "red-500",
-    hover: "hover:border-red-500/50",
-  },
-  automation: {
-    badge: "bg-amber-500/20 text-amber-400 border-amber-500/30",
-    accent: "amber-500",
-    hover: "hover:border-amber-500/50",
-  },
-  default: {
-    badge: "bg-gray-500/20 text-gray-400 border-gray-500/30",
-    accent: "gray-500",
-    hover: "hover:border-gray-500/50",
-  },
-} as const;
-
-/**
- * Get category color classes
- */
-export function getCategoryColors(category: string) {
-  return (
-    CATEGORY_COLORS[category as keyof typeof CATEGORY_COLORS] ||
-    CATEGORY_COLORS.default
-  );
-}
-
 /**
  * Status color mapping
  */
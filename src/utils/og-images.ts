@@ -0,0 +1,345 @@
+/**
+ * Open Graph Images
+ * Social preview cards rendered at build time: an SVG template turned into a
+ * PNG by sharp and served from /og/<key>.png (see src/pages/og/[...key].png.ts).
+ * Pack, category and roadmap pages point their `metadata.openGraph` at these,
+ * every other page keeps the default image from config.yaml.
+ */
+
+import fs from "node:fs";
+import { createRequire } from "node:module";
+
+import sharp from "sharp";
+import colors from "tailwindcss/colors";
+
+import type { MetaDataOpenGraph } from "~/types";
+import {
+  getAllCategories,
+  getStatusInfo,
+  loadAllIntelligencePacks,
+  type IntelligencePack,
+} from "./intelligence-packs";
+import { getPackCategory, type PackCategory } from "./pack-categories";
+import { getAsset } from "./permalinks";
+import { getRoadmapSummary, type RoadmapSummary } from "./roadmap";
+
+export const OG_IMAGE_WIDTH = 1200;
+export const OG_IMAGE_HEIGHT = 630;
+
+/** Huitzo dark theme colors, as defined in CustomStyles.astro */
+const THEME_COLORS: Record<string, string> = {
+  "huitzo-accent": "#00bfff",
+  "status-success": "#3fb950",
+  "status-warning": "#d29922",
+  "status-error": "#f85149",
+  "status-info": "#58a6ff",
+};
+
+const BACKGROUND = "#010101";
+const TEXT_PRIMARY = "#f5f5f5";
+const TEXT_SECONDARY = "#a9a9a9";
+const TEXT_MUTED = "#6e7681";
+
+const FONT_SANS =
+  "Inter, 'Inter Variable', 'Helvetica Neue', Arial, sans-serif";
+
+const require = createRequire(import.meta.url);
+
+export interface OgImageBadge {
+  text: string;
+  /** Hex color of the badge text and outline */
+  color: string;
+}
+
+export interface OgImageCard {
+  /** Small caps line above the title, e.g. "Intelligence Pack" */
+  eyebrow: string;
+  title: string;
+  subtitle?: string;
+  /** Emoji shown in a tile next to the eyebrow, drawn from Twemoji */
+  icon?: string;
+  /** Hex color of the side bar, glow and icon tile */
+  accent: string;
+  badges?: OgImageBadge[];
+  /** Right-aligned footer text, e.g. the pack version */
+  meta?: string;
+}
+
+export interface OgImage {
+  /** Path of the image under /og without the extension, e.g. `roadmap` */
+  key: string;
+  card: OgImageCard;
+}
+
+/**
+ * Hex value of a theme token (`status-success`) or a Tailwind palette color
+ * (`emerald-500`), the forms used by the category registry and status badges
+ */
+export function resolveColor(
+  token: string,
+  fallback = THEME_COLORS["huitzo-accent"],
+): string {
+  if (THEME_COLORS[token]) return THEME_COLORS[token];
+
+  const match = /^([a-z]+)-(\d{2,3})$/.exec(token);
+  const shades = match
+    ? (colors as unknown as Record<string, Record<string, string> | undefined>)[
+        match[1]
+      ]
+    : undefined;
+
+  return (match && shades?.[match[2]]) || fallback;
+}
+
+/** Color of the `text-*` class in a badge class list */
+function badgeTextColor(badge: string): string {
+  const textClass = badge.split(/\s+/).find((name) => name.startsWith("text-"));
+  return resolveColor(textClass ? textClass.slice("text-".length) : "");
+}
+
+function escapeXml(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Twemoji SVG of an emoji as a data URI, or null when there is none.
+ * Build machines rarely have a color emoji font, so icons are drawn from the
+ * bundled @twemoji/svg files instead of as text.
+ */
+export function getEmojiImage(emoji: string): string | null {
+  const codePoints = [...emoji].map((char) => char.codePointAt(0) as number);
+  // Twemoji file names drop the emoji presentation selector outside ZWJ sequences
+  const name = (
+    codePoints.includes(0x200d)
+      ? codePoints
+      : codePoints.filter((codePoint) => codePoint !== 0xfe0f)
+  )
+    .map((codePoint) => codePoint.toString(16))
+    .join("-");
+
+  try {
+    const svg = fs.readFileSync(require.resolve(`@twemoji/svg/${name}.svg`));
+    return `data:image/svg+xml;base64,${svg.toString("base64")}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Word-wrap text to lines of about `maxChars`, ending with "…" past `maxLines`.
+ * SVG text has no wrapping, so this estimates from the character count.
+ */
+function wrapText(text: string, maxChars: number, maxLines: number): string[] {
+  const lines: string[] = [];
+  let line = "";
+
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const next = line ? `${line} ${word}` : word;
+    if (next.length <= maxChars || !line) {
+      line = next;
+      continue;
+    }
+    lines.push(line);
+    line = word;
+  }
+  if (line) lines.push(line);
+
+  if (lines.length <= maxLines) return lines;
+
+  const kept = lines.slice(0, maxLines);
+  const last = kept[maxLines - 1];
+  kept[maxLines - 1] =
+    `${last.length >= maxChars ? last.slice(0, maxChars - 1).trimEnd() : last}…`;
+  return kept;
+}
+
+function renderBadges(badges: OgImageBadge[], y: number): string {
+  let x = 80;
+
+  return badges
+    .map((badge) => {
+      const width = Math.round(badge.text.length * 16 + 56);
+      const pill = `<rect x="${x}" y="${y}" width="${width}" height="52" rx="26" fill="${badge.color}" fill-opacity="0.15" stroke="${badge.color}" stroke-opacity="0.5" stroke-width="2"/>
+  <text x="${x + width / 2}" y="${y + 35}" font-family="${FONT_SANS}" font-size="26" font-weight="600" fill="${badge.color}" text-anchor="middle">${escapeXml(badge.text)}</text>`;
+      x += width + 16;
+      return pill;
+    })
+    .join("\n  ");
+}
+
+/**
+ * SVG markup of a card, OG_IMAGE_WIDTH × OG_IMAGE_HEIGHT
+ */
+export function renderOgImageSvg(card: OgImageCard): string {
+  const titleLines = wrapText(card.title, 24, 2);
+  const subtitleLines = card.subtitle ? wrapText(card.subtitle, 56, 2) : [];
+  const titleY = 300;
+  const subtitleY = titleY + (titleLines.length - 1) * 82 + 76;
+
+  const emoji = card.icon ? getEmojiImage(card.icon) : null;
+  const glyph = emoji
+    ? `<image x="104" y="104" width="64" height="64" href="${emoji}"/>`
+    : `<text x="136" y="158" font-family="${FONT_SANS}" font-size="64" fill="${TEXT_PRIMARY}" text-anchor="middle">${escapeXml(card.icon || "")}</text>`;
+  const icon = card.icon
+    ? `<rect x="80" y="80" width="112" height="112" rx="24" fill="${card.accent}" fill-opacity="0.15" stroke="${card.accent}" stroke-opacity="0.6" stroke-width="2"/>
+  ${glyph}`
+    : "";
+  const eyebrowX = card.icon ? 220 : 80;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${OG_IMAGE_WIDTH}" height="${OG_IMAGE_HEIGHT}" viewBox="0 0 ${OG_IMAGE_WIDTH} ${OG_IMAGE_HEIGHT}">
+  <defs>
+    <radialGradient id="glow" cx="1" cy="0" r="1">
+      <stop offset="0" stop-color="${card.accent}" stop-opacity="0.35"/>
+      <stop offset="0.6" stop-color="${card.accent}" stop-opacity="0"/>
+    </radialGradient>
+  </defs>
+  <rect width="${OG_IMAGE_WIDTH}" height="${OG_IMAGE_HEIGHT}" fill="${BACKGROUND}"/>
+  <rect width="${OG_IMAGE_WIDTH}" height="${OG_IMAGE_HEIGHT}" fill="url(#glow)"/>
+  <rect width="14" height="${OG_IMAGE_HEIGHT}" fill="${card.accent}"/>
+  ${icon}
+  <text x="${eyebrowX}" y="124" font-family="${FONT_SANS}" font-size="26" font-weight="600" letter-spacing="4" fill="${TEXT_MUTED}">HUITZO</text>
+  <text x="${eyebrowX}" y="168" font-family="${FONT_SANS}" font-size="32" font-weight="600" fill="${card.accent}">${escapeXml(card.eyebrow)}</text>
+  ${titleLines
+    .map(
+      (line, index) =>
+        `<text x="80" y="${titleY + index * 82}" font-family="${FONT_SANS}" font-size="72" font-weight="700" fill="${TEXT_PRIMARY}">${escapeXml(line)}</text>`,
+    )
+    .join("\n  ")}
+  ${subtitleLines
+    .map(
+      (line, index) =>
+        `<text x="80" y="${subtitleY + index * 44}" font-family="${FONT_SANS}" font-size="34" fill="${TEXT_SECONDARY}">${escapeXml(line)}</text>`,
+    )
+    .join("\n  ")}
+  ${renderBadges(card.badges || [], 520)}
+  ${card.meta ? `<text x="${OG_IMAGE_WIDTH - 80}" y="555" font-family="${FONT_SANS}" font-size="28" fill="${TEXT_MUTED}" text-anchor="end">${escapeXml(card.meta)}</text>` : ""}
+</svg>
+`;
+}
+
+/**
+ * PNG of a card
+ */
+export function renderOgImagePng(card: OgImageCard): Promise<Buffer> {
+  return sharp(Buffer.from(renderOgImageSvg(card)))
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Public path of an image, e.g. /og/intelligence-packs/financial.png
+ */
+export function getOgImagePath(key: string): string {
+  return getAsset(`og/${key}.png`);
+}
+
+/**
+ * `metadata.openGraph` that uses the generated image instead of the default one
+ */
+export function getOgImageMetadata(key: string): MetaDataOpenGraph {
+  return {
+    images: [
+      {
+        url: getOgImagePath(key),
+        width: OG_IMAGE_WIDTH,
+        height: OG_IMAGE_HEIGHT,
+      },
+    ],
+  };
+}
+
+export function getPackOgImageKey(pack: IntelligencePack): string {
+  return `intelligence-packs/${pack.slug}`;
+}
+
+export function getCategoryOgImageKey(category: PackCategory): string {
+  return `intelligence-packs/category/${category.id}`;
+}
+
+export const ROADMAP_OG_IMAGE_KEY = "roadmap";
+
+export function getPackOgCard(pack: IntelligencePack): OgImageCard {
+  const category = getPackCategory(pack.category);
+  const status = getStatusInfo(pack.status);
+
+  return {
+    eyebrow: "Intelligence Pack",
+    title: pack.name,
+    subtitle: pack.tagline,
+    icon: pack.icon,
+    accent: resolveColor(category.color.accent),
+    badges: [
+      { text: status.text, color: badgeTextColor(status.badge) },
+      { text: category.label, color: resolveColor(category.color.accent) },
+    ],
+    meta: `v${pack.version}`,
+  };
+}
+
+export function getCategoryOgCard(
+  category: PackCategory,
+  packCount: number,
+): OgImageCard {
+  const accent = resolveColor(category.color.accent);
+
+  return {
+    eyebrow: "Intelligence Pack Category",
+    title: category.label,
+    subtitle: category.description,
+    icon: category.icon,
+    accent,
+    badges: [
+      {
+        text: `${packCount} intelligence pack${packCount === 1 ? "" : "s"}`,
+        color: accent,
+      },
+    ],
+  };
+}
+
+export function getRoadmapOgCard(summary: RoadmapSummary): OgImageCard {
+  const accent = THEME_COLORS["huitzo-accent"];
+
+  return {
+    eyebrow: "Roadmap",
+    title: "Development Roadmap",
+    subtitle:
+      "Milestones and upcoming features of the Huitzo Intelligence-as-a-Service platform",
+    accent,
+    badges: [
+      { text: `${summary.progress}% complete`, color: accent },
+      {
+        text: `${summary.counts.completed} of ${summary.total} milestones done`,
+        color: THEME_COLORS["status-success"],
+      },
+    ],
+  };
+}
+
+/**
+ * Every generated image: one per pack page, per category page and the roadmap
+ */
+export async function getOgImages(): Promise<OgImage[]> {
+  const packs = await loadAllIntelligencePacks();
+  const categoryIds = await getAllCategories();
+
+  return [
+    ...packs.map((pack) => ({
+      key: getPackOgImageKey(pack),
+      card: getPackOgCard(pack),
+    })),
+    ...categoryIds.map(getPackCategory).map((category) => ({
+      key: getCategoryOgImageKey(category),
+      card: getCategoryOgCard(
+        category,
+        packs.filter((pack) => pack.category === category.id).length,
+      ),
+    })),
+    { key: ROADMAP_OG_IMAGE_KEY, card: getRoadmapOgCard(getRoadmapSummary()) },
+  ];
+}
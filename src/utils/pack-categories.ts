@@ -0,0 +1,47 @@
+/**
+ * Intelligence Pack Categories
+ * Labels, icons and colors from the category registry in src/data/pack-categories.json,
+ * the same file that defines the `category` enum packs are validated against
+ */
+
+import registry from "../data/pack-categories.json";
+import type { IntelligencePackCategory } from "./intelligence-packs.generated";
+import { getPermalink } from "./permalinks";
+
+export interface PackCategory {
+  id: IntelligencePackCategory;
+  label: string;
+  description: string;
+  icon: string;
+  /** Tailwind classes for the category badge, accent and card hover */
+  color: {
+    badge: string;
+    accent: string;
+    hover: string;
+  };
+}
+
+/**
+ * Every category in registry order
+ */
+export const PACK_CATEGORIES = registry.categories as PackCategory[];
+
+const FALLBACK_CATEGORY = PACK_CATEGORIES.find(
+  (category) => category.id === "other",
+) as PackCategory;
+
+/**
+ * Registry entry for a category id, falling back to "other"
+ */
+export function getPackCategory(id: string): PackCategory {
+  return (
+    PACK_CATEGORIES.find((category) => category.id === id) || FALLBACK_CATEGORY
+  );
+}
+
+/**
+ * Path of a category landing page, e.g. /intelligence-packs/category/finance
+ */
+export function getCategoryPermalink(id: string): string {
+  return getPermalink(`intelligence-packs/category/${id}`);
+}
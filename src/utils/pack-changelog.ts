@@ -0,0 +1,257 @@
+/**
+ * Intelligence Pack Changelog
+ * Release history from each pack's `changelog` and the release feeds built from it:
+ * /intelligence-packs/feed.xml and atom.xml for every pack, and the same pair
+ * under /intelligence-packs/[slug]/ for a single pack.
+ */
+
+import rss from "@astrojs/rss";
+
+import {
+  getStatusInfo,
+  type IntelligencePack,
+  type IntelligencePackStatus,
+} from "./intelligence-packs";
+import type { IntelligencePackChangelogEntry } from "./intelligence-packs.generated";
+import { getPackCategory } from "./pack-categories";
+import { getAsset, getCanonical, getPermalink } from "./permalinks";
+
+export type { IntelligencePackChangelogEntry } from "./intelligence-packs.generated";
+
+export interface PackRelease extends IntelligencePackChangelogEntry {
+  /** Fragment id of the release on the pack page, e.g. `release-1-2-0` */
+  anchor: string;
+  /** Set when this release moved the pack to a new status */
+  statusChange?: {
+    from?: IntelligencePackStatus;
+    to: IntelligencePackStatus;
+  };
+}
+
+export interface PackFeedItem {
+  pack: IntelligencePack;
+  release: PackRelease;
+  title: string;
+  /** Path of the release on the pack page */
+  link: string;
+  date: Date;
+  /** Plain text summary */
+  description: string;
+  /** Release notes as HTML */
+  content: string;
+}
+
+export interface PackFeed {
+  title: string;
+  description: string;
+  /** Path of the page the feed follows */
+  link: string;
+  /** Paths of the RSS and Atom documents */
+  rssPath: string;
+  atomPath: string;
+  items: PackFeedItem[];
+}
+
+/** Sections of a release, in display order */
+export const RELEASE_SECTIONS = [
+  { key: "added", label: "Added" },
+  { key: "changed", label: "Changed" },
+  { key: "removed", label: "Removed" },
+] as const;
+
+export function getReleaseAnchor(version: string): string {
+  return `release-${version.replace(/[^a-zA-Z0-9]+/g, "-")}`;
+}
+
+/**
+ * A pack's releases, newest first, with status changes resolved.
+ * The changelog is kept newest first (enforced by `npm run lint:packs`).
+ */
+export function getPackReleases(pack: IntelligencePack): PackRelease[] {
+  const entries = pack.changelog || [];
+  let status: IntelligencePackStatus | undefined;
+
+  // Walk oldest to newest to know the status each release started from
+  const releases = [...entries].reverse().map((entry) => {
+    const release: PackRelease = {
+      ...entry,
+      anchor: getReleaseAnchor(entry.version),
+    };
+    if (entry.status && entry.status !== status) {
+      release.statusChange = { from: status, to: entry.status };
+      status = entry.status;
+    }
+    return release;
+  });
+
+  return releases.reverse();
+}
+
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function describeStatusChange(release: PackRelease): string | null {
+  if (!release.statusChange) return null;
+  const { from, to } = release.statusChange;
+  return from
+    ? `Status changed from ${getStatusInfo(from).text} to ${getStatusInfo(to).text}`
+    : `Released as ${getStatusInfo(to).text}`;
+}
+
+function renderReleaseHtml(release: PackRelease): string {
+  const parts: string[] = [];
+  const statusChange = describeStatusChange(release);
+
+  if (release.summary) parts.push(`<p>${escapeHtml(release.summary)}</p>`);
+  if (statusChange) parts.push(`<p><strong>${statusChange}</strong></p>`);
+
+  for (const { key, label } of RELEASE_SECTIONS) {
+    const items = release[key] || [];
+    if (items.length === 0) continue;
+    parts.push(
+      `<h3>${label}</h3>`,
+      `<ul>${items.map((item) => `<li>${escapeHtml(item)}</li>`).join("")}</ul>`,
+    );
+  }
+
+  return parts.join("\n");
+}
+
+function toFeedItem(
+  pack: IntelligencePack,
+  release: PackRelease,
+): PackFeedItem {
+  const statusChange = describeStatusChange(release);
+  const title = release.statusChange?.from
+    ? `${pack.name} ${release.version} (now ${getStatusInfo(release.statusChange.to).text})`
+    : `${pack.name} ${release.version}`;
+
+  return {
+    pack,
+    release,
+    title,
+    link: `${getPermalink(`intelligence-packs/${pack.slug}`)}#${release.anchor}`,
+    date: new Date(release.date),
+    description:
+      release.summary ||
+      statusChange ||
+      `${pack.name} ${release.version} release notes`,
+    content: renderReleaseHtml(release),
+  };
+}
+
+/**
+ * Feed items for the given packs, newest release first
+ */
+export function getPackFeedItems(packs: IntelligencePack[]): PackFeedItem[] {
+  return packs
+    .flatMap((pack) =>
+      getPackReleases(pack).map((release) => toFeedItem(pack, release)),
+    )
+    .sort(
+      (a, b) =>
+        b.date.getTime() - a.date.getTime() || a.title.localeCompare(b.title),
+    );
+}
+
+/**
+ * The release feed of a single pack
+ */
+export function getPackFeed(pack: IntelligencePack): PackFeed {
+  return {
+    title: `${pack.name} Releases | Huitzo`,
+    description: `New releases and status changes of the ${pack.name} intelligence pack`,
+    link: getPermalink(`intelligence-packs/${pack.slug}`),
+    rssPath: getAsset(`intelligence-packs/${pack.slug}/feed.xml`),
+    atomPath: getAsset(`intelligence-packs/${pack.slug}/atom.xml`),
+    items: getPackFeedItems([pack]),
+  };
+}
+
+/**
+ * The release feed across all packs
+ */
+export function getAllPacksFeed(packs: IntelligencePack[]): PackFeed {
+  return {
+    title: "Intelligence Pack Releases | Huitzo",
+    description:
+      "New releases and status changes across all Huitzo intelligence packs",
+    link: getPermalink("intelligence-packs"),
+    rssPath: getAsset("intelligence-packs/feed.xml"),
+    atomPath: getAsset("intelligence-packs/atom.xml"),
+    items: getPackFeedItems(packs),
+  };
+}
+
+/**
+ * `<link rel="alternate">` entries that let feed readers discover a feed
+ */
+export function getFeedAlternates(feed: PackFeed) {
+  return [
+    { type: "application/rss+xml", href: feed.rssPath },
+    { type: "application/atom+xml", href: feed.atomPath },
+  ];
+}
+
+export function packFeedRssResponse(feed: PackFeed): Promise<Response> {
+  return rss({
+    title: feed.title,
+    description: feed.description,
+    // Item links are site-relative paths resolved against the channel link
+    site: String(getCanonical(feed.link)),
+    trailingSlash: false,
+    items: feed.items.map((item) => ({
+      title: item.title,
+      link: item.link,
+      pubDate: item.date,
+      description: item.description,
+      content: item.content,
+      categories: [getPackCategory(item.pack.category).label],
+    })),
+    customData: "<language>en</language>",
+  });
+}
+
+function escapeXml(text: string): string {
+  return escapeHtml(text).replace(/'/g, "&apos;");
+}
+
+export function packFeedAtomResponse(feed: PackFeed): Response {
+  const url = (path: string) => escapeXml(String(getCanonical(path)));
+  // A feed without releases yet was last updated when it was built
+  const updated = (feed.items[0]?.date ?? new Date()).toISOString();
+
+  const entries = feed.items.map(
+    (item) => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${url(item.link)}"/>
+    <id>${url(item.link)}</id>
+    <updated>${item.date.toISOString()}</updated>
+    <author><name>${escapeXml(item.pack.author)}</name></author>
+    <category term="${escapeXml(item.pack.category)}" label="${escapeXml(getPackCategory(item.pack.category).label)}"/>
+    <summary>${escapeXml(item.description)}</summary>
+    <content type="html">${escapeXml(item.content)}</content>
+  </entry>`,
+  );
+
+  const document = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${url(feed.link)}"/>
+  <link rel="self" type="application/atom+xml" href="${url(feed.atomPath)}"/>
+  <id>${url(feed.atomPath)}</id>
+  <updated>${updated}</updated>
+${entries.join("\n")}
+</feed>
+`;
+
+  return new Response(document, {
+    headers: { "Content-Type": "application/atom+xml; charset=utf-8" },
+  });
+}
@@ -0,0 +1,79 @@
+/**
+ * Intelligence Pack Commands
+ * Typed access to the command grammar shared with `npm run lint:packs`
+ */
+
+import {
+  formatCommandLine as formatWithGrammar,
+  parseCommandLine as parseWithGrammar,
+} from "../../scripts/lib/pack-command-grammar.js";
+import type {
+  IntelligencePack,
+  IntelligencePackCommandParameter,
+} from "./intelligence-packs.generated";
+
+export type PackCommand = NonNullable<IntelligencePack["commands"]>[number];
+export type PackCommandParameter = IntelligencePackCommandParameter;
+
+export interface PackCommandValues {
+  arguments?: Record<string, string>;
+  flags?: Record<string, string>;
+}
+
+export interface ParsedPackCommandLine {
+  /** The declared command the line invokes, or null when none matches */
+  command: PackCommand | null;
+  arguments: Record<string, string>;
+  flags: Record<string, string>;
+  /** Every grammar violation, empty when the line is valid */
+  errors: string[];
+}
+
+/**
+ * Parse a command line against a pack's declared commands
+ */
+export function parseCommandLine(
+  line: string,
+  commands: PackCommand[],
+): ParsedPackCommandLine {
+  return parseWithGrammar(line, commands);
+}
+
+/**
+ * Assemble a command line from argument and flag values
+ */
+export function formatCommandLine(
+  command: PackCommand,
+  values: PackCommandValues,
+): string {
+  return formatWithGrammar(command, values);
+}
+
+/**
+ * A command's positional arguments followed by its flags, in declaration order
+ */
+export function getCommandParameters(
+  command: PackCommand,
+): { kind: "arguments" | "flags"; parameter: PackCommandParameter }[] {
+  return [
+    ...(command.arguments || []).map((parameter) => ({
+      kind: "arguments" as const,
+      parameter,
+    })),
+    ...(command.flags || []).map((parameter) => ({
+      kind: "flags" as const,
+      parameter,
+    })),
+  ];
+}
+
+/**
+ * Id of a command's card on the pack page, e.g. "command-finance-watchlist-add"
+ * for `finance watchlist add` and "command-design-ui-generate" for `design.ui.generate`
+ */
+export function getCommandAnchor(name: string): string {
+  return `command-${name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")}`;
+}
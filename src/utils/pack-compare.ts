@@ -0,0 +1,52 @@
+/**
+ * Intelligence Pack Comparison
+ * The packs picked for /intelligence-packs/compare and their round trip
+ * through the URL (`?packs=financial,rubber-ducky`), so a comparison can be
+ * shared. Runs in the browser as well as at build time.
+ */
+
+/** More columns than this stop fitting side by side */
+export const MAX_COMPARED_PACKS = 4;
+
+/** Query parameter holding the compared slugs */
+const PARAM = "packs";
+
+/**
+ * Read the compared pack slugs from query parameters.
+ * Keeps the order they were picked in, drops unknown and repeated slugs and
+ * anything past MAX_COMPARED_PACKS.
+ */
+export function parseComparedPacks(
+  params: URLSearchParams,
+  slugs: readonly string[],
+): string[] {
+  const picked = params
+    .getAll(PARAM)
+    .flatMap((value) => value.split(","))
+    .map((value) => value.trim())
+    .filter((value) => slugs.includes(value));
+
+  return [...new Set(picked)].slice(0, MAX_COMPARED_PACKS);
+}
+
+/**
+ * Write compared pack slugs to a query string (without the leading "?")
+ */
+export function serializeComparedPacks(slugs: readonly string[]): string {
+  if (slugs.length === 0) return "";
+
+  const params = new URLSearchParams({ [PARAM]: slugs.join(",") });
+  // Commas are safe in query values and read better in shared links
+  return params.toString().replace(/%2C/g, ",");
+}
+
+/**
+ * Link to the comparison page for the given packs
+ */
+export function getCompareUrl(
+  comparePath: string,
+  slugs: readonly string[],
+): string {
+  const query = serializeComparedPacks(slugs);
+  return query ? `${comparePath}?${query}` : comparePath;
+}
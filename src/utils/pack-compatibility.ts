@@ -0,0 +1,208 @@
+/**
+ * Intelligence Pack Compatibility
+ * Which Huitzo Core releases (src/data/core-releases.json) each pack installs
+ * on, following its `installation.core` range and the packs it depends on.
+ * Ranges are matched by scripts/lib/pack-compatibility.js, the same code the
+ * pack validator and linter use.
+ */
+
+import registry from "../data/core-releases.json";
+import {
+  checkCoreReleases,
+  satisfies,
+} from "../../scripts/lib/pack-compatibility.js";
+import type { IntelligencePack } from "./intelligence-packs";
+import { getPermalink } from "./permalinks";
+
+export type CoreReleaseStatus = "released" | "planned";
+
+export interface CoreRelease {
+  version: string;
+  status: CoreReleaseStatus;
+  /** Release date (YYYY-MM-DD); planned releases may not have one */
+  date?: string;
+  title?: string;
+}
+
+export type CoreCompatibility =
+  | "compatible"
+  | "incompatible"
+  | "blocked"
+  | "undeclared";
+
+export interface PackDependency {
+  id: string;
+  /** Required version range; any version when undefined */
+  version?: string;
+  /** The required pack, null when no pack has this id */
+  pack: IntelligencePack | null;
+  /** The required pack exists and its current version is in range */
+  satisfied: boolean;
+}
+
+export interface CoreCompatibilityCell {
+  release: CoreRelease;
+  state: CoreCompatibility;
+  /** Names of the dependencies that keep the pack off this release */
+  blockedBy: string[];
+}
+
+export interface PackCompatibility {
+  pack: IntelligencePack;
+  dependencies: PackDependency[];
+  /** One cell per Huitzo Core release, oldest first */
+  cells: CoreCompatibilityCell[];
+}
+
+const registryErrors = checkCoreReleases(registry);
+if (registryErrors.length > 0) {
+  throw new Error(
+    `Invalid Huitzo Core release registry (src/data/core-releases.json):\n  - ${registryErrors.join("\n  - ")}`,
+  );
+}
+
+/**
+ * Every Huitzo Core release, oldest first
+ */
+export const CORE_RELEASES = registry.releases as CoreRelease[];
+
+/**
+ * Compatibility display info
+ */
+export const CORE_COMPATIBILITY_INFO = {
+  compatible: {
+    symbol: "✓",
+    text: "Compatible",
+    badge: "bg-status-success/20 text-status-success border-status-success/30",
+  },
+  incompatible: {
+    symbol: "✗",
+    text: "Not compatible",
+    badge: "bg-status-error/20 text-status-error border-status-error/30",
+  },
+  blocked: {
+    symbol: "!",
+    text: "Blocked by a dependency",
+    badge: "bg-status-warning/20 text-status-warning border-status-warning/30",
+  },
+  undeclared: {
+    symbol: "?",
+    text: "Not declared",
+    badge: "bg-gray-500/20 text-gray-400 border-gray-500/30",
+  },
+} as const satisfies Record<
+  CoreCompatibility,
+  { symbol: string; text: string; badge: string }
+>;
+
+/**
+ * Path of the compatibility matrix page
+ */
+export function getCompatibilityPermalink(): string {
+  return getPermalink("intelligence-packs/compatibility");
+}
+
+/**
+ * The packs a pack depends on, resolved against the catalog
+ */
+export function getPackDependencies(
+  pack: IntelligencePack,
+  packs: IntelligencePack[],
+): PackDependency[] {
+  return (pack.installation?.dependencies || []).map((dependency) => {
+    const required = packs.find((item) => item.id === dependency.id) || null;
+
+    return {
+      id: dependency.id,
+      version: dependency.version,
+      pack: required,
+      satisfied:
+        required !== null &&
+        (!dependency.version ||
+          satisfies(required.version, dependency.version)),
+    };
+  });
+}
+
+function getCoreCompatibility(
+  pack: IntelligencePack,
+  release: CoreRelease,
+  packs: IntelligencePack[],
+  visiting: Set<string>,
+): Omit<CoreCompatibilityCell, "release"> {
+  const core = pack.installation?.core;
+  if (core && !satisfies(release.version, core)) {
+    return { state: "incompatible", blockedBy: [] };
+  }
+
+  visiting.add(pack.id);
+  const blockedBy = getPackDependencies(pack, packs)
+    .filter(({ pack: required, satisfied }) => {
+      if (!required || !satisfied) return true;
+      // Cycles are reported by `npm run lint:packs`; don't follow them here
+      if (visiting.has(required.id)) return false;
+
+      const { state } = getCoreCompatibility(
+        required,
+        release,
+        packs,
+        visiting,
+      );
+      return state === "incompatible" || state === "blocked";
+    })
+    .map(({ id, pack: required }) => required?.name || id);
+  visiting.delete(pack.id);
+
+  if (blockedBy.length > 0) return { state: "blocked", blockedBy };
+  return { state: core ? "compatible" : "undeclared", blockedBy: [] };
+}
+
+/**
+ * A pack's dependencies and whether it installs on each Huitzo Core release:
+ * its own `installation.core` range must match and every dependency must be
+ * in range and install on that release too
+ */
+export function getPackCompatibility(
+  pack: IntelligencePack,
+  packs: IntelligencePack[],
+): PackCompatibility {
+  return {
+    pack,
+    dependencies: getPackDependencies(pack, packs),
+    cells: CORE_RELEASES.map((release) => ({
+      release,
+      ...getCoreCompatibility(pack, release, packs, new Set()),
+    })),
+  };
+}
+
+/**
+ * The Huitzo Core releases a pack installs on
+ */
+export function getCompatibleCoreReleases(
+  compatibility: PackCompatibility,
+): CoreRelease[] {
+  return compatibility.cells
+    .filter((cell) => cell.state === "compatible")
+    .map((cell) => cell.release);
+}
+
+/**
+ * Requirements as one list of labels: the Huitzo Core range, the required
+ * packs and the free-text requirements
+ */
+export function getRequirementLabels(
+  pack: IntelligencePack,
+  dependencies: PackDependency[],
+): string[] {
+  const core = pack.installation?.core;
+
+  return [
+    ...(core ? [`Huitzo Core ${core}`] : []),
+    ...dependencies.map(
+      ({ id, version, pack: required }) =>
+        `${required?.name || id} intelligence pack${version ? ` ${version}` : ""}`,
+    ),
+    ...(pack.installation?.requirements || []),
+  ];
+}
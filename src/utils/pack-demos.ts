@@ -0,0 +1,86 @@
+/**
+ * Intelligence Pack Demos
+ * Turns the `demos` of a pack into TerminalPrompt lines plus a playback
+ * timeline for the terminal player on the pack page (TerminalDemo.astro)
+ */
+
+import type { IntelligencePack } from "./intelligence-packs";
+import type { IntelligencePackDemo } from "./intelligence-packs.generated";
+
+export type { IntelligencePackDemo } from "./intelligence-packs.generated";
+
+/** Step timings when a demo step leaves them out, as in schema.json */
+export const DEMO_STEP_DEFAULTS = {
+  delay: 600,
+  lineDelay: 150,
+  pause: 1500,
+} as const;
+
+/** Milliseconds per typed character of a command */
+export const DEMO_TYPING_SPEED = 40;
+
+export interface DemoFrame {
+  /** Index of the demo step the line belongs to */
+  step: number;
+  /** Milliseconds to wait before the line appears */
+  wait: number;
+  /** Command lines are typed out character by character */
+  typed: boolean;
+}
+
+export interface PackDemo {
+  id: string;
+  title: string;
+  description?: string;
+  /** Transcript in TerminalPrompt's line format (`$` commands, `s>`, `i>`...) */
+  lines: string[];
+  /** One frame per line, in line order */
+  frames: DemoFrame[];
+}
+
+/**
+ * A demo as transcript lines and playback frames
+ */
+export function getPackDemo(demo: IntelligencePackDemo): PackDemo {
+  const lines: string[] = [];
+  const frames: DemoFrame[] = [];
+  let previousPause = 0;
+
+  demo.steps.forEach((step, index) => {
+    const {
+      delay = DEMO_STEP_DEFAULTS.delay,
+      lineDelay = DEMO_STEP_DEFAULTS.lineDelay,
+      pause = DEMO_STEP_DEFAULTS.pause,
+    } = step;
+    const output = step.output || [];
+
+    lines.push(`$ ${step.command}`);
+    frames.push({ step: index, wait: previousPause, typed: true });
+
+    output.forEach((line, lineIndex) => {
+      lines.push(line);
+      frames.push({
+        step: index,
+        wait: lineIndex === 0 ? delay : lineDelay,
+        typed: false,
+      });
+    });
+
+    previousPause = pause;
+  });
+
+  return {
+    id: demo.id,
+    title: demo.title,
+    description: demo.description,
+    lines,
+    frames,
+  };
+}
+
+/**
+ * Every demo of a pack, in declaration order
+ */
+export function getPackDemos(pack: IntelligencePack): PackDemo[] {
+  return (pack.demos || []).map(getPackDemo);
+}
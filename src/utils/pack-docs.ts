@@ -0,0 +1,140 @@
+/**
+ * Intelligence Pack Docs
+ * Long-form pages for a pack (guides, FAQs, reference) from the `packDocs`
+ * content collection in src/data/pack-docs. Each page names its pack by id in
+ * `pack`; keep a pack's pages in a folder named after that id. Pages are
+ * served under /intelligence-packs/[slug]/docs/.
+ */
+
+import { getCollection, type CollectionEntry } from "astro:content";
+import type { IntelligencePack } from "./intelligence-packs";
+import { getPermalink } from "./permalinks";
+
+export type PackDocType = CollectionEntry<"packDocs">["data"]["type"];
+
+/**
+ * Sidebar sections, in reading order
+ */
+export const PACK_DOC_TYPES: { id: PackDocType; label: string }[] = [
+  { id: "guide", label: "Guides" },
+  { id: "faq", label: "FAQ" },
+  { id: "reference", label: "Reference" },
+];
+
+export interface PackDoc {
+  /** Path under the pack's docs, e.g. "getting-started" */
+  path: string;
+  title: string;
+  description?: string;
+  type: PackDocType;
+  entry: CollectionEntry<"packDocs">;
+}
+
+export interface PackDocsSection {
+  type: PackDocType;
+  label: string;
+  docs: PackDoc[];
+}
+
+// Entries are `<pack id>/<page>`; the folder is dropped from the URL
+function getDocPath(entry: CollectionEntry<"packDocs">): string {
+  const folder = `${entry.data.pack}/`;
+  return entry.id.startsWith(folder) ? entry.id.slice(folder.length) : entry.id;
+}
+
+function compareDocs(
+  a: CollectionEntry<"packDocs">,
+  b: CollectionEntry<"packDocs">,
+): number {
+  const typeOrder = (entry: CollectionEntry<"packDocs">) =>
+    PACK_DOC_TYPES.findIndex((type) => type.id === entry.data.type);
+
+  return (
+    typeOrder(a) - typeOrder(b) ||
+    (a.data.order ?? Infinity) - (b.data.order ?? Infinity) ||
+    a.data.title.localeCompare(b.data.title)
+  );
+}
+
+const load = async function (): Promise<Map<string, PackDoc[]>> {
+  const entries = (await getCollection("packDocs"))
+    .filter((entry) => !entry.data.draft)
+    .sort(compareDocs);
+  const docsByPack = new Map<string, PackDoc[]>();
+
+  for (const entry of entries) {
+    const docs = docsByPack.get(entry.data.pack) || [];
+    const path = getDocPath(entry);
+
+    const clash = docs.find((doc) => doc.path === path);
+    if (clash) {
+      const report = `src/data/pack-docs/${entry.id}: docs page "${path}" of "${entry.data.pack}" is already used by ${clash.entry.id}`;
+      if (import.meta.env.PROD) {
+        throw new Error(report);
+      }
+      console.warn(report);
+      continue;
+    }
+
+    docs.push({
+      path,
+      title: entry.data.title,
+      description: entry.data.description,
+      type: entry.data.type,
+      entry,
+    });
+    docsByPack.set(entry.data.pack, docs);
+  }
+
+  return docsByPack;
+};
+
+let _docs: Map<string, PackDoc[]>;
+
+/**
+ * A pack's docs pages in reading order: guides, FAQ, then reference, each by
+ * `order` and then title. Drafts are left out.
+ */
+export async function getPackDocs(pack: IntelligencePack): Promise<PackDoc[]> {
+  if (!_docs) {
+    _docs = await load();
+  }
+
+  return _docs.get(pack.id) || [];
+}
+
+/**
+ * Path of a pack's docs page, or of its docs when `path` is left out
+ */
+export function getPackDocsPermalink(
+  pack: IntelligencePack,
+  path: string = "",
+): string {
+  return getPermalink(`intelligence-packs/${pack.slug}/docs/${path}`);
+}
+
+/**
+ * Docs pages grouped for the sidebar, skipping empty sections
+ */
+export function getPackDocsSections(docs: PackDoc[]): PackDocsSection[] {
+  return PACK_DOC_TYPES.map(({ id, label }) => ({
+    type: id,
+    label,
+    docs: docs.filter((doc) => doc.type === id),
+  })).filter((section) => section.docs.length > 0);
+}
+
+/**
+ * The pages before and after a docs page in reading order
+ */
+export function getAdjacentPackDocs(
+  docs: PackDoc[],
+  doc: PackDoc,
+): { previous: PackDoc | null; next: PackDoc | null } {
+  const index = docs.findIndex((item) => item.path === doc.path);
+
+  return {
+    previous: docs[index - 1] || null,
+    next: docs[index + 1] || null,
+  };
+}
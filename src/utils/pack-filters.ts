@@ -0,0 +1,107 @@
+/**
+ * Intelligence Pack Filters
+ * Filter state for the packs directory and its round trip through the URL
+ * query string, so filtered views can be reloaded, shared and navigated with
+ * back/forward.
+ */
+
+export const PACK_SORT_OPTIONS = [
+  { value: "relevance", label: "Recommended" },
+  { value: "name", label: "Name (A–Z)" },
+  { value: "name-desc", label: "Name (Z–A)" },
+  { value: "category", label: "Category" },
+] as const;
+
+export type PackSortOrder = (typeof PACK_SORT_OPTIONS)[number]["value"];
+
+export const DEFAULT_PACK_SORT: PackSortOrder = "relevance";
+
+export interface PackFilterState {
+  query: string;
+  categories: string[];
+  statuses: string[];
+  sort: PackSortOrder;
+}
+
+export interface PackFilterOptions {
+  categories: readonly string[];
+  statuses: readonly string[];
+}
+
+/** Query parameter names, kept short for shareable links */
+const PARAMS = {
+  query: "q",
+  categories: "category",
+  statuses: "status",
+  sort: "sort",
+} as const;
+
+export function createEmptyFilterState(): PackFilterState {
+  return { query: "", categories: [], statuses: [], sort: DEFAULT_PACK_SORT };
+}
+
+function parseList(
+  params: URLSearchParams,
+  name: string,
+  allowed: readonly string[],
+): string[] {
+  const values = params
+    .getAll(name)
+    .flatMap((value) => value.split(","))
+    .map((value) => value.trim())
+    .filter((value) => allowed.includes(value));
+
+  // Keep the order of `allowed` so equivalent URLs produce the same state
+  return allowed.filter((value) => values.includes(value));
+}
+
+/**
+ * Read filter state from query parameters, dropping unknown values
+ */
+export function parsePackFilterState(
+  params: URLSearchParams,
+  options: PackFilterOptions,
+): PackFilterState {
+  const sort = params.get(PARAMS.sort);
+
+  return {
+    query: (params.get(PARAMS.query) || "").trim(),
+    categories: parseList(params, PARAMS.categories, options.categories),
+    statuses: parseList(params, PARAMS.statuses, options.statuses),
+    sort: PACK_SORT_OPTIONS.some((option) => option.value === sort)
+      ? (sort as PackSortOrder)
+      : DEFAULT_PACK_SORT,
+  };
+}
+
+/**
+ * Write filter state to a query string (without the leading "?").
+ * Default values are omitted so an unfiltered directory has a clean URL.
+ */
+export function serializePackFilterState(state: PackFilterState): string {
+  const params = new URLSearchParams();
+
+  if (state.query) params.set(PARAMS.query, state.query);
+  if (state.categories.length > 0) {
+    params.set(PARAMS.categories, state.categories.join(","));
+  }
+  if (state.statuses.length > 0) {
+    params.set(PARAMS.statuses, state.statuses.join(","));
+  }
+  if (state.sort !== DEFAULT_PACK_SORT) params.set(PARAMS.sort, state.sort);
+
+  // Commas are safe in query values and read better in shared links
+  return params.toString().replace(/%2C/g, ",");
+}
+
+/**
+ * Whether any filter, search or non-default sort is applied
+ */
+export function hasActivePackFilters(state: PackFilterState): boolean {
+  return (
+    Boolean(state.query) ||
+    state.categories.length > 0 ||
+    state.statuses.length > 0 ||
+    state.sort !== DEFAULT_PACK_SORT
+  );
+}
@@ -0,0 +1,241 @@
+/**
+ * Intelligence Pack Pricing
+ * Price display, the tier comparison table, the cross-pack pricing overview
+ * and schema.org Offers, all built from the structured `pricing` of a pack
+ */
+
+import type { IntelligencePack } from "./intelligence-packs";
+import type {
+  IntelligencePackPricingLimit,
+  IntelligencePackPricingTier,
+  IntelligencePackPricingTierAvailability,
+} from "./intelligence-packs.generated";
+
+export type {
+  IntelligencePackPricingLimit,
+  IntelligencePackPricingTier,
+} from "./intelligence-packs.generated";
+
+export const DEFAULT_PRICING_CURRENCY = "USD";
+
+const PERIOD_LABELS = {
+  month: "per month",
+  year: "per year",
+  "one-time": "one-time",
+} as const;
+
+/**
+ * Tier availability display info
+ */
+export const TIER_AVAILABILITY_INFO = {
+  available: {
+    text: "Available",
+    badge: "bg-status-success/20 text-status-success border-status-success/30",
+  },
+  "coming-soon": {
+    text: "Coming Soon",
+    badge: "bg-huitzo-accent/20 text-huitzo-accent border-huitzo-accent/30",
+  },
+  "contact-sales": {
+    text: "Contact Sales",
+    badge: "bg-purple-500/20 text-purple-400 border-purple-500/30",
+  },
+} as const satisfies Record<
+  IntelligencePackPricingTierAvailability,
+  { text: string; badge: string }
+>;
+
+export interface TierPriceDisplay {
+  /** Formatted amount ("$10", "$0") or the availability when there is no price */
+  amount: string;
+  /** Billing period, e.g. "per month"; null for free and unpriced tiers */
+  period: string | null;
+}
+
+export interface PricingComparisonRow {
+  label: string;
+  /** One cell per tier, in tier order */
+  values: string[];
+}
+
+export interface PricingComparison {
+  tiers: IntelligencePackPricingTier[];
+  prices: TierPriceDisplay[];
+  limits: PricingComparisonRow[];
+  features: { feature: string; included: boolean[] }[];
+}
+
+export interface PackPricingSummary {
+  pack: IntelligencePack;
+  freeTier?: IntelligencePackPricingTier;
+  /** Cheapest paid tier that can be bought today */
+  startingTier?: IntelligencePackPricingTier;
+  /** "From $10 per month", "Coming Soon", "Pricing TBA", ... */
+  paidText: string;
+}
+
+export function getPricingCurrency(pack: IntelligencePack): string {
+  return pack.pricing?.currency || DEFAULT_PRICING_CURRENCY;
+}
+
+export function getPricingTiers(
+  pack: IntelligencePack,
+): IntelligencePackPricingTier[] {
+  return pack.pricing?.tiers || [];
+}
+
+export function isFreeTier(tier: IntelligencePackPricingTier): boolean {
+  return tier.availability === "available" && tier.price?.amount === 0;
+}
+
+export function getFreeTier(
+  pack: IntelligencePack,
+): IntelligencePackPricingTier | undefined {
+  return getPricingTiers(pack).find(isFreeTier);
+}
+
+export function hasFreeTier(pack: IntelligencePack): boolean {
+  return Boolean(getFreeTier(pack));
+}
+
+export function formatAmount(amount: number, currency: string): string {
+  return new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency,
+    minimumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+  }).format(amount);
+}
+
+export function formatTierPrice(
+  tier: IntelligencePackPricingTier,
+  currency: string,
+): TierPriceDisplay {
+  if (!tier.price) {
+    return {
+      amount: TIER_AVAILABILITY_INFO[tier.availability].text,
+      period: null,
+    };
+  }
+
+  return {
+    amount: formatAmount(tier.price.amount, currency),
+    period:
+      tier.price.amount === 0
+        ? null
+        : PERIOD_LABELS[tier.price.period || "month"],
+  };
+}
+
+/**
+ * "10", "Unlimited" or "3 per month"
+ */
+export function formatLimit(limit: IntelligencePackPricingLimit): string {
+  const value =
+    limit.value === "unlimited"
+      ? "Unlimited"
+      : new Intl.NumberFormat("en-US").format(limit.value);
+  return limit.per ? `${value} per ${limit.per}` : value;
+}
+
+/**
+ * Tier-by-tier comparison: prices, one row per limit metric and one row per feature.
+ * Metrics and features keep the order they first appear in.
+ */
+export function getPricingComparison(
+  pack: IntelligencePack,
+): PricingComparison {
+  const tiers = getPricingTiers(pack);
+  const currency = getPricingCurrency(pack);
+
+  const metrics = new Map<string, string>();
+  const features: string[] = [];
+  for (const tier of tiers) {
+    for (const limit of tier.limits || []) {
+      if (!metrics.has(limit.metric)) metrics.set(limit.metric, limit.label);
+    }
+    for (const feature of tier.features || []) {
+      if (!features.includes(feature)) features.push(feature);
+    }
+  }
+
+  return {
+    tiers,
+    prices: tiers.map((tier) => formatTierPrice(tier, currency)),
+    limits: [...metrics].map(([metric, label]) => ({
+      label,
+      values: tiers.map((tier) => {
+        const limit = tier.limits?.find((item) => item.metric === metric);
+        return limit ? formatLimit(limit) : "—";
+      }),
+    })),
+    features: features.map((feature) => ({
+      feature,
+      included: tiers.map((tier) => Boolean(tier.features?.includes(feature))),
+    })),
+  };
+}
+
+/**
+ * Free tier and starting price of a pack, for listings and the pricing overview
+ */
+export function getPackPricingSummary(
+  pack: IntelligencePack,
+): PackPricingSummary {
+  const tiers = getPricingTiers(pack);
+  const currency = getPricingCurrency(pack);
+  const paid = tiers.filter((tier) => !isFreeTier(tier));
+
+  const startingTier = paid
+    .filter((tier) => tier.availability === "available" && tier.price)
+    .sort((a, b) => (a.price?.amount ?? 0) - (b.price?.amount ?? 0))[0];
+
+  let paidText = "Pricing TBA";
+  if (startingTier) {
+    const { amount, period } = formatTierPrice(startingTier, currency);
+    paidText = `From ${amount}${period ? ` ${period}` : ""}`;
+  } else if (paid.some((tier) => tier.availability === "contact-sales")) {
+    paidText = TIER_AVAILABILITY_INFO["contact-sales"].text;
+  } else if (paid.length > 0) {
+    paidText = TIER_AVAILABILITY_INFO["coming-soon"].text;
+  } else if (tiers.length > 0) {
+    paidText = "Free only";
+  }
+
+  return { pack, freeTier: getFreeTier(pack), startingTier, paidText };
+}
+
+/**
+ * schema.org Offers for every priced tier; tiers that are not yet available are pre-orders
+ */
+export function getPackOffers(pack: IntelligencePack, url: string) {
+  const currency = getPricingCurrency(pack);
+
+  return getPricingTiers(pack)
+    .filter((tier) => tier.price && tier.availability !== "contact-sales")
+    .map((tier) => {
+      const price = (tier.price?.amount ?? 0).toFixed(2);
+      const period = tier.price?.period || "month";
+
+      return {
+        "@type": "Offer",
+        name: tier.name,
+        price,
+        priceCurrency: currency,
+        availability:
+          tier.availability === "available"
+            ? "https://schema.org/InStock"
+            : "https://schema.org/PreOrder",
+        url,
+        ...(tier.price?.amount !== 0 &&
+          period !== "one-time" && {
+            priceSpecification: {
+              "@type": "UnitPriceSpecification",
+              price,
+              priceCurrency: currency,
+              billingDuration: period === "year" ? "P1Y" : "P1M",
+              unitText: period.toUpperCase(),
+            },
+          }),
+      };
+    });
+}
@@ -0,0 +1,188 @@
+/**
+ * Intelligence Pack Recommendations
+ * Scores how similar two packs are at build time, for the related packs on
+ * each pack page. Packs named in `related` count most, then a shared
+ * category, then the vocabulary their features and commands have in common.
+ * Results only depend on the pack data, so every build recommends the same
+ * packs in the same order.
+ */
+
+import type { IntelligencePack } from "./intelligence-packs";
+import { getPackCategory } from "./pack-categories";
+import { tokenize } from "./pack-search";
+
+export type RelatedPackReason =
+  | "related"
+  | "related-by"
+  | "category"
+  | "vocabulary";
+
+export interface RelatedPack {
+  pack: IntelligencePack;
+  score: number;
+  /** Why the pack was recommended, strongest first */
+  reasons: RelatedPackReason[];
+  /** Feature and command terms both packs use */
+  sharedTerms: string[];
+}
+
+/**
+ * Score added for each kind of similarity; `vocabulary` is scaled by the
+ * share of terms the packs have in common (0–1)
+ */
+export const RELATED_PACK_WEIGHTS: Record<RelatedPackReason, number> = {
+  related: 10,
+  "related-by": 5,
+  category: 3,
+  vocabulary: 8,
+};
+
+/** Packs recommended on each pack page */
+export const RELATED_PACK_LIMIT = 3;
+
+/**
+ * Lowest score a pack needs to be recommended at all; one shared generic
+ * word like "analysis" scores less
+ */
+export const RELATED_PACK_MIN_SCORE = 0.25;
+
+/**
+ * Display order by status: available packs first, then planned ones.
+ * Archived packs are never recommended.
+ */
+const LIFECYCLE_ORDER: Record<IntelligencePack["status"], number> = {
+  active: 0,
+  beta: 0,
+  "coming-soon": 1,
+  "idea-phase": 2,
+  deprecated: 3,
+  archived: 4,
+};
+
+// Words that say nothing about what a pack does
+const STOP_WORDS = new Set([
+  "and",
+  "any",
+  "are",
+  "for",
+  "from",
+  "get",
+  "help",
+  "into",
+  "new",
+  "the",
+  "with",
+  "you",
+  "your",
+]);
+
+function getTerms(text: string): string[] {
+  return tokenize(text).filter(
+    (term) => term.length > 2 && !STOP_WORDS.has(term),
+  );
+}
+
+/**
+ * The terms a pack's features and commands are made of. The first word of a
+ * command is the pack's own namespace (`finance`, `design`), so it is left out.
+ */
+export function getPackVocabulary(pack: IntelligencePack): Set<string> {
+  return new Set([
+    ...(pack.features || []).flatMap(getTerms),
+    ...(pack.commands || []).flatMap((command) =>
+      getTerms(command.name).slice(1),
+    ),
+  ]);
+}
+
+function scorePair(
+  pack: IntelligencePack,
+  candidate: IntelligencePack,
+  vocabulary: Set<string>,
+  candidateVocabulary: Set<string>,
+): Omit<RelatedPack, "pack"> {
+  const reasons: RelatedPackReason[] = [];
+  let score = 0;
+
+  if (pack.related?.includes(candidate.id)) {
+    reasons.push("related");
+    // Earlier entries in `related` rank higher
+    score +=
+      RELATED_PACK_WEIGHTS.related - pack.related.indexOf(candidate.id) / 10;
+  }
+  if (candidate.related?.includes(pack.id)) {
+    reasons.push("related-by");
+    score += RELATED_PACK_WEIGHTS["related-by"];
+  }
+  if (candidate.category === pack.category) {
+    reasons.push("category");
+    score += RELATED_PACK_WEIGHTS.category;
+  }
+
+  const sharedTerms = [...vocabulary]
+    .filter((term) => candidateVocabulary.has(term))
+    .sort();
+  const union = new Set([...vocabulary, ...candidateVocabulary]).size;
+  if (sharedTerms.length > 0) {
+    reasons.push("vocabulary");
+    score += (RELATED_PACK_WEIGHTS.vocabulary * sharedTerms.length) / union;
+  }
+
+  return { score: Math.round(score * 1000) / 1000, reasons, sharedTerms };
+}
+
+function compareIds(a: RelatedPack, b: RelatedPack): number {
+  return a.pack.id < b.pack.id ? -1 : a.pack.id > b.pack.id ? 1 : 0;
+}
+
+/**
+ * The packs most similar to `pack`, at most `limit` of them. The best scoring
+ * packs are picked first and then listed available before planned, by score
+ * within each status. Ties are broken by id.
+ */
+export function getRelatedPacks(
+  pack: IntelligencePack,
+  packs: IntelligencePack[],
+  limit: number = RELATED_PACK_LIMIT,
+): RelatedPack[] {
+  const vocabulary = getPackVocabulary(pack);
+
+  return packs
+    .filter(
+      (candidate) =>
+        candidate.id !== pack.id && candidate.status !== "archived",
+    )
+    .map((candidate) => ({
+      pack: candidate,
+      ...scorePair(pack, candidate, vocabulary, getPackVocabulary(candidate)),
+    }))
+    .filter(({ score }) => score >= RELATED_PACK_MIN_SCORE)
+    .sort((a, b) => b.score - a.score || compareIds(a, b))
+    .slice(0, limit)
+    .sort(
+      (a, b) =>
+        LIFECYCLE_ORDER[a.pack.status] - LIFECYCLE_ORDER[b.pack.status] ||
+        b.score - a.score ||
+        compareIds(a, b),
+    );
+}
+
+/**
+ * One line on why a pack was recommended, from its strongest reason
+ */
+export function describeRelatedPack({
+  pack,
+  reasons,
+  sharedTerms,
+}: RelatedPack): string {
+  switch (reasons[0]) {
+    case "related":
+      return "Recommended alongside this pack";
+    case "related-by":
+      return "Often used together with this pack";
+    case "category":
+      return `Also in ${getPackCategory(pack.category).label}`;
+    default:
+      return `Also covers ${sharedTerms.slice(0, 3).join(", ")}`;
+  }
+}
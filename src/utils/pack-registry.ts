@@ -0,0 +1,133 @@
+/**
+ * Intelligence Pack Registry API
+ * Builds the versioned JSON documents served at /api/packs.json and
+ * /api/packs/[slug].json, the canonical machine-readable pack catalog.
+ */
+
+import { createHash } from "node:crypto";
+
+import type { IntelligencePack } from "./intelligence-packs";
+import { getAsset, getPermalink } from "./permalinks";
+
+/**
+ * Response shape version. Bump on breaking changes to the documents below;
+ * adding optional fields is not a breaking change.
+ *
+ * 2: `pack.pricing` is a list of `tiers` instead of free/pro/enterprise objects
+ */
+export const PACK_REGISTRY_API_VERSION = 2;
+
+export interface PackRegistryIndexEntry {
+  id: string;
+  slug: string;
+  name: string;
+  version: string;
+  status: IntelligencePack["status"];
+  category: IntelligencePack["category"];
+  tagline: string;
+  /** Command names the pack exposes, e.g. `finance.watchlist.add` */
+  commands: string[];
+  /** Content hash of the full record, changes whenever the pack does */
+  hash: string;
+  /** Path of the pack's HTML page */
+  url: string;
+  /** Path of the pack's full JSON record */
+  href: string;
+}
+
+export interface PackRegistryIndex {
+  apiVersion: typeof PACK_REGISTRY_API_VERSION;
+  /** Content hash of the whole catalog, usable as an ETag */
+  hash: string;
+  count: number;
+  packs: PackRegistryIndexEntry[];
+}
+
+export interface PackRegistryRecord {
+  apiVersion: typeof PACK_REGISTRY_API_VERSION;
+  /** Content hash of `pack`, matches the index entry */
+  hash: string;
+  pack: IntelligencePack;
+}
+
+/**
+ * Serialize with sorted object keys so equal data always hashes the same
+ */
+function stableStringify(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value)
+      .filter(([, child]) => child !== undefined)
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(
+        ([key, child]) => `${JSON.stringify(key)}:${stableStringify(child)}`,
+      );
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Content hash of any JSON-compatible value, e.g. `sha256-3f2a…`
+ */
+export function hashContent(value: unknown): string {
+  const digest = createHash("sha256")
+    .update(stableStringify(value))
+    .digest("hex");
+  return `sha256-${digest.slice(0, 32)}`;
+}
+
+export function buildPackRecord(pack: IntelligencePack): PackRegistryRecord {
+  return {
+    apiVersion: PACK_REGISTRY_API_VERSION,
+    hash: hashContent(pack),
+    pack,
+  };
+}
+
+/**
+ * Build the catalog index, sorted by slug so the output is stable
+ */
+export function buildPackRegistryIndex(
+  packs: IntelligencePack[],
+): PackRegistryIndex {
+  const entries = [...packs]
+    .sort((a, b) => (a.slug < b.slug ? -1 : a.slug > b.slug ? 1 : 0))
+    .map((pack) => ({
+      id: pack.id,
+      slug: pack.slug,
+      name: pack.name,
+      version: pack.version,
+      status: pack.status,
+      category: pack.category,
+      tagline: pack.tagline,
+      commands: (pack.commands || []).map((command) => command.name),
+      hash: hashContent(pack),
+      url: getPermalink(`intelligence-packs/${pack.slug}`),
+      href: getAsset(`api/packs/${pack.slug}.json`),
+    }));
+
+  return {
+    apiVersion: PACK_REGISTRY_API_VERSION,
+    hash: hashContent(entries),
+    count: entries.length,
+    packs: entries,
+  };
+}
+
+/**
+ * JSON response for a registry document.
+ * Static hosts ignore these headers, which is why the hash is also in the body.
+ */
+export function registryResponse(
+  document: PackRegistryIndex | PackRegistryRecord,
+): Response {
+  return new Response(`${JSON.stringify(document, null, 2)}\n`, {
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+      ETag: `"${document.hash}"`,
+    },
+  });
+}
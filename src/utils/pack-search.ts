@@ -0,0 +1,248 @@
+/**
+ * Intelligence Pack Search
+ * Builds a compact search index at build time and ranks packs against a query
+ * with typo tolerance. Pure functions only, so the same module runs in Astro
+ * frontmatter (index building) and in the browser (searching).
+ */
+
+import type { IntelligencePack } from "./intelligence-packs";
+
+export type PackSearchField =
+  | "name"
+  | "tagline"
+  | "description"
+  | "feature"
+  | "command";
+
+export interface PackSearchEntry {
+  field: PackSearchField;
+  text: string;
+  terms: string[];
+}
+
+export interface PackSearchDocument {
+  slug: string;
+  name: string;
+  entries: PackSearchEntry[];
+}
+
+export interface PackSearchMatch {
+  field: PackSearchField;
+  text: string;
+  /** Terms of `text` that matched the query, for highlighting */
+  terms: string[];
+}
+
+export interface PackSearchResult {
+  slug: string;
+  score: number;
+  matches: PackSearchMatch[];
+}
+
+/**
+ * Relative importance of a hit in each field
+ */
+export const PACK_SEARCH_FIELD_WEIGHTS: Record<PackSearchField, number> = {
+  name: 10,
+  command: 6,
+  tagline: 5,
+  feature: 3,
+  description: 2,
+};
+
+/**
+ * Split text into lowercase alphanumeric terms.
+ * Dots, dashes and spaces all separate terms, so `design.ui.generate`
+ * and `finance watchlist add` are searchable word by word.
+ */
+export function tokenize(text: string): string[] {
+  return text
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function createEntry(field: PackSearchField, text: string): PackSearchEntry {
+  return { field, text, terms: [...new Set(tokenize(text))] };
+}
+
+/**
+ * Build the search index for a set of packs
+ */
+export function buildPackSearchIndex(
+  packs: IntelligencePack[],
+): PackSearchDocument[] {
+  return packs.map((pack) => ({
+    slug: pack.slug,
+    name: pack.name,
+    entries: [
+      createEntry("name", pack.name),
+      createEntry("tagline", pack.tagline),
+      createEntry("description", pack.description),
+      ...(pack.features || []).map((feature) =>
+        createEntry("feature", feature),
+      ),
+      ...(pack.commands || []).map((command) =>
+        createEntry("command", command.name),
+      ),
+    ],
+  }));
+}
+
+function levenshtein(a: string, b: string): number {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost,
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Score how well a query term matches an indexed term (0 = no match)
+ */
+export function scoreTerm(query: string, term: string): number {
+  if (term === query) return 1;
+  if (query.length >= 2 && term.startsWith(query)) return 0.8;
+
+  const allowedTypos = query.length >= 8 ? 2 : query.length >= 4 ? 1 : 0;
+  if (allowedTypos === 0) return 0;
+
+  // Compare against the whole term and against a same-length prefix,
+  // so "watchlst" finds "watchlist" and "analy" finds "analysis"
+  const distance = Math.min(
+    levenshtein(query, term),
+    levenshtein(query, term.slice(0, query.length)),
+  );
+
+  if (distance > allowedTypos) return 0;
+  return distance === 1 ? 0.6 : 0.4;
+}
+
+/**
+ * Rank documents against a query.
+ * Every query term must match somewhere in a pack; packs are ordered by score,
+ * then by name so equal scores stay stable across builds.
+ */
+export function searchPacks(
+  index: PackSearchDocument[],
+  query: string,
+): PackSearchResult[] {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0) return [];
+
+  const phrase = queryTerms.join(" ");
+  const results: Array<PackSearchResult & { name: string }> = [];
+
+  for (const doc of index) {
+    const matchedTerms = new Map<PackSearchEntry, Set<string>>();
+    let score = 0;
+    let matchesEveryTerm = true;
+
+    for (const queryTerm of queryTerms) {
+      const bestByField = new Map<PackSearchField, number>();
+
+      for (const entry of doc.entries) {
+        for (const term of entry.terms) {
+          const termScore = scoreTerm(queryTerm, term);
+          if (termScore === 0) continue;
+
+          const weighted = termScore * PACK_SEARCH_FIELD_WEIGHTS[entry.field];
+          bestByField.set(
+            entry.field,
+            Math.max(bestByField.get(entry.field) || 0, weighted),
+          );
+
+          if (!matchedTerms.has(entry)) matchedTerms.set(entry, new Set());
+          matchedTerms.get(entry)!.add(term);
+        }
+      }
+
+      if (bestByField.size === 0) {
+        matchesEveryTerm = false;
+        break;
+      }
+
+      for (const fieldScore of bestByField.values()) {
+        score += fieldScore;
+      }
+    }
+
+    if (!matchesEveryTerm) continue;
+
+    // Bonus for multi-word queries that appear verbatim, e.g. "stress analysis"
+    if (queryTerms.length > 1) {
+      for (const entry of doc.entries) {
+        if (tokenize(entry.text).join(" ").includes(phrase)) {
+          score += PACK_SEARCH_FIELD_WEIGHTS[entry.field];
+        }
+      }
+    }
+
+    results.push({
+      slug: doc.slug,
+      name: doc.name,
+      score,
+      matches: [...matchedTerms.entries()].map(([entry, terms]) => ({
+        field: entry.field,
+        text: entry.text,
+        terms: [...terms],
+      })),
+    });
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+    .map(({ slug, score, matches }) => ({ slug, score, matches }));
+}
+
+/**
+ * Split text into plain and highlighted segments for the given matched terms
+ */
+export function getHighlightSegments(
+  text: string,
+  terms: string[],
+): Array<{ text: string; highlight: boolean }> {
+  if (terms.length === 0) return [{ text, highlight: false }];
+
+  const termSet = new Set(terms);
+  const segments: Array<{ text: string; highlight: boolean }> = [];
+  const wordPattern = /[A-Za-z0-9\u00c0-\u024f]+/g;
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(wordPattern)) {
+    const [word] = match;
+    const start = match.index ?? 0;
+    const normalized = tokenize(word)[0];
+
+    if (normalized && termSet.has(normalized)) {
+      if (start > lastIndex) {
+        segments.push({ text: text.slice(lastIndex, start), highlight: false });
+      }
+      segments.push({ text: word, highlight: true });
+      lastIndex = start + word.length;
+    }
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), highlight: false });
+  }
+
+  return segments;
+}
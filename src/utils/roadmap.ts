@@ -0,0 +1,194 @@
+/**
+ * Roadmap Utilities
+ * Typed access to src/data/roadmap.json and its links to intelligence packs
+ */
+
+import roadmapData from "../data/roadmap.json";
+import {
+  loadAllIntelligencePacks,
+  type IntelligencePack,
+} from "./intelligence-packs";
+
+export type RoadmapMilestoneStatus =
+  | "completed"
+  | "in-progress"
+  | "upcoming"
+  | "planning";
+
+/**
+ * Milestone statuses in lifecycle order, used for grouping and summaries
+ */
+export const ROADMAP_MILESTONE_STATUSES: readonly RoadmapMilestoneStatus[] = [
+  "completed",
+  "in-progress",
+  "upcoming",
+  "planning",
+];
+
+export interface RoadmapMilestone {
+  id: string;
+  status: RoadmapMilestoneStatus;
+  title: string;
+  /** Completion date (completed milestones) */
+  date?: string;
+  /** Target date (open milestones) */
+  targetDate?: string;
+  progress: number;
+  description: string;
+  deliverables: string[];
+  /** Ids of the intelligence packs that ship in this milestone */
+  packs?: string[];
+}
+
+export interface Roadmap {
+  lastUpdated: string;
+  vision: {
+    statement: string;
+    mission: string;
+    approach: string;
+  };
+  milestones: RoadmapMilestone[];
+}
+
+export interface RoadmapMilestoneWithPacks extends RoadmapMilestone {
+  /** Packs referenced by `packs`, in the same order */
+  linkedPacks: IntelligencePack[];
+}
+
+export interface RoadmapSummary {
+  total: number;
+  counts: Record<RoadmapMilestoneStatus, number>;
+  /**
+   * Overall progress (0-100), each milestone weighted by its number of deliverables
+   * so large milestones count for more than small ones
+   */
+  progress: number;
+}
+
+/**
+ * Milestone status display info
+ */
+export const ROADMAP_STATUS_INFO = {
+  completed: {
+    text: "Completed",
+    icon: "✓",
+    accent: "text-status-success",
+    marker: "text-status-success border-status-success",
+    badge: "bg-status-success/20 text-status-success",
+  },
+  "in-progress": {
+    text: "In Progress",
+    icon: "⏳",
+    accent: "text-huitzo-accent",
+    marker: "text-huitzo-accent border-huitzo-accent",
+    badge: "bg-huitzo-accent/20 text-huitzo-accent",
+  },
+  upcoming: {
+    text: "Upcoming",
+    icon: "○",
+    accent: "text-text-muted",
+    marker: "text-text-muted border-huitzo-border",
+    badge: "bg-huitzo-border/20 text-text-muted",
+  },
+  planning: {
+    text: "Planning",
+    icon: "✎",
+    accent: "text-purple-400",
+    marker: "text-purple-400 border-purple-500/50 border-dashed",
+    badge: "bg-purple-500/20 text-purple-400",
+  },
+} as const satisfies Record<
+  RoadmapMilestoneStatus,
+  { text: string; icon: string; accent: string; marker: string; badge: string }
+>;
+
+/**
+ * Get milestone status display info
+ */
+export function getRoadmapStatusInfo(status: RoadmapMilestoneStatus) {
+  return ROADMAP_STATUS_INFO[status] || ROADMAP_STATUS_INFO.upcoming;
+}
+
+/**
+ * Roadmap data as validated by `npm run validate:roadmap`
+ */
+export function getRoadmap(): Roadmap {
+  return roadmapData as Roadmap;
+}
+
+/**
+ * Milestones with their referenced packs resolved.
+ * Unknown pack ids fail production builds; in development they are skipped with a warning.
+ */
+export async function getRoadmapMilestonesWithPacks(): Promise<
+  RoadmapMilestoneWithPacks[]
+> {
+  const packs = await loadAllIntelligencePacks();
+  const packsById = new Map(packs.map((pack) => [pack.id, pack]));
+  const unknown: string[] = [];
+
+  const milestones = getRoadmap().milestones.map((milestone) => ({
+    ...milestone,
+    linkedPacks: (milestone.packs || []).flatMap((packId) => {
+      const pack = packsById.get(packId);
+      if (!pack) unknown.push(`"${packId}" in milestone "${milestone.id}"`);
+      return pack ? [pack] : [];
+    }),
+  }));
+
+  if (unknown.length > 0) {
+    const report = `roadmap.json references unknown intelligence pack ids: ${unknown.join(", ")}. Run \`npm run validate:roadmap\` for details.`;
+    if (import.meta.env.PROD) {
+      throw new Error(report);
+    }
+    console.warn(report);
+  }
+
+  return milestones;
+}
+
+/**
+ * The milestone a pack is delivered in.
+ * Prefers the earliest open milestone, falling back to the latest completed one.
+ */
+export function getMilestoneForPack(packId: string): RoadmapMilestone | null {
+  const linked = getRoadmap().milestones.filter((milestone) =>
+    milestone.packs?.includes(packId),
+  );
+
+  return (
+    linked.find((milestone) => milestone.status !== "completed") ||
+    linked.at(-1) ||
+    null
+  );
+}
+
+/**
+ * Milestone counts per status and overall progress, computed from the data
+ */
+export function getRoadmapSummary(
+  milestones: RoadmapMilestone[] = getRoadmap().milestones,
+): RoadmapSummary {
+  const counts = Object.fromEntries(
+    ROADMAP_MILESTONE_STATUSES.map((status) => [
+      status,
+      milestones.filter((milestone) => milestone.status === status).length,
+    ]),
+  ) as Record<RoadmapMilestoneStatus, number>;
+
+  const totalWeight = milestones.reduce(
+    (sum, milestone) => sum + Math.max(milestone.deliverables.length, 1),
+    0,
+  );
+  const weightedProgress = milestones.reduce(
+    (sum, milestone) =>
+      sum + milestone.progress * Math.max(milestone.deliverables.length, 1),
+    0,
+  );
+
+  return {
+    total: milestones.length,
+    counts,
+    progress: totalWeight > 0 ? Math.round(weightedProgress / totalWeight) : 0,
+  };
+}
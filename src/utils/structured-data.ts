@@ -0,0 +1,189 @@
+/**
+ * Structured Data
+ * schema.org JSON-LD for the intelligence pack pages: a SoftwareApplication
+ * with every priced tier, a HowTo built from the quickstart, breadcrumbs, and
+ * an ItemList for the directory. `npm run validate:structured-data` checks
+ * the built pages against the types used here.
+ */
+
+import type { IntelligencePack } from "./intelligence-packs";
+import { getOgImagePath, getPackOgImageKey } from "./og-images";
+import { getCategoryPermalink, getPackCategory } from "./pack-categories";
+import {
+  getRequirementLabels,
+  type PackDependency,
+} from "./pack-compatibility";
+import { getPackOffers } from "./pack-pricing";
+import { getCanonical, getPermalink } from "./permalinks";
+
+export type JsonLd = Record<string, unknown>;
+
+/** The Organization node emitted on every page by StructuredData.astro */
+export const ORGANIZATION_ID = "https://huitzo.com/#organization";
+
+const ORGANIZATION_AUTHOR = /^huitzo(\s+team)?$/i;
+const ORGANIZATION_NAME =
+  /\b(team|inc\.?|llc|ltd\.?|gmbh|labs?|group|foundation)$/i;
+
+export interface Breadcrumb {
+  name: string;
+  /** Site-relative path */
+  path: string;
+}
+
+function url(path: string): string {
+  return String(getCanonical(path));
+}
+
+function getPackUrl(pack: IntelligencePack): string {
+  return url(getPermalink(`intelligence-packs/${pack.slug}`));
+}
+
+/**
+ * JSON for a `<script type="application/ld+json">`, with "<" escaped so
+ * pack text can never close the script tag
+ */
+export function serializeJsonLd(data: JsonLd): string {
+  return JSON.stringify(data).replace(/</g, "\\u003c");
+}
+
+/**
+ * The author of a pack: Huitzo itself, another organization (a team or
+ * company name) or a person
+ */
+export function getAuthorNode(author: string): JsonLd {
+  const name = author.trim();
+  if (ORGANIZATION_AUTHOR.test(name)) {
+    return { "@id": ORGANIZATION_ID };
+  }
+
+  return {
+    "@type": ORGANIZATION_NAME.test(name) ? "Organization" : "Person",
+    name,
+  };
+}
+
+export function getBreadcrumbList(items: Breadcrumb[]): JsonLd {
+  return {
+    "@context": "https://schema.org",
+    "@type": "BreadcrumbList",
+    itemListElement: items.map((item, index) => ({
+      "@type": "ListItem",
+      position: index + 1,
+      name: item.name,
+      item: url(item.path),
+    })),
+  };
+}
+
+/**
+ * Home → Intelligence Packs, the start of every pack breadcrumb trail
+ */
+export function getPackBreadcrumbs(): Breadcrumb[] {
+  return [
+    { name: "Home", path: getPermalink("/") },
+    { name: "Intelligence Packs", path: getPermalink("intelligence-packs") },
+  ];
+}
+
+export function getPackSoftwareApplication(
+  pack: IntelligencePack,
+  dependencies: PackDependency[] = [],
+): JsonLd {
+  const packUrl = getPackUrl(pack);
+  const offers = getPackOffers(pack, `${packUrl}#pricing`);
+  const requirements = getRequirementLabels(pack, dependencies);
+
+  return {
+    "@context": "https://schema.org",
+    "@type": "SoftwareApplication",
+    "@id": `${packUrl}#software`,
+    name: pack.name,
+    description: pack.description,
+    url: packUrl,
+    image: url(getOgImagePath(getPackOgImageKey(pack))),
+    softwareVersion: pack.version,
+    applicationCategory: "BusinessApplication",
+    applicationSubCategory: getPackCategory(pack.category).label,
+    operatingSystem: "Any",
+    author: getAuthorNode(pack.author),
+    publisher: { "@id": ORGANIZATION_ID },
+    ...(pack.features?.length && { featureList: pack.features }),
+    ...(requirements.length > 0 && {
+      softwareRequirements: requirements.join(", "),
+    }),
+    ...(offers.length > 0 && { offers }),
+  };
+}
+
+/**
+ * Quickstart steps as a HowTo; null when the pack has no quickstart
+ */
+export function getPackHowTo(pack: IntelligencePack): JsonLd | null {
+  const steps = pack.quickstart || [];
+  if (steps.length === 0) return null;
+
+  const packUrl = getPackUrl(pack);
+
+  return {
+    "@context": "https://schema.org",
+    "@type": "HowTo",
+    name: `Get started with ${pack.name}`,
+    description: `Install and run the ${pack.name} intelligence pack with the Huitzo CLI.`,
+    tool: [{ "@type": "HowToTool", name: "Huitzo CLI" }],
+    step: steps.map((step) => ({
+      "@type": "HowToStep",
+      position: step.step,
+      name: step.title,
+      text: [step.description, step.command && `Run: ${step.command}`]
+        .filter(Boolean)
+        .join(" "),
+      url: `${packUrl}#quickstart-step-${step.step}`,
+    })),
+  };
+}
+
+/**
+ * Every JSON-LD node of a pack page
+ */
+export function getPackStructuredData(
+  pack: IntelligencePack,
+  dependencies: PackDependency[] = [],
+): JsonLd[] {
+  const category = getPackCategory(pack.category);
+  const howTo = getPackHowTo(pack);
+
+  return [
+    getPackSoftwareApplication(pack, dependencies),
+    ...(howTo ? [howTo] : []),
+    getBreadcrumbList([
+      ...getPackBreadcrumbs(),
+      { name: category.label, path: getCategoryPermalink(category.id) },
+      {
+        name: pack.name,
+        path: getPermalink(`intelligence-packs/${pack.slug}`),
+      },
+    ]),
+  ];
+}
+
+/**
+ * The directory's packs as an ItemList, in the order given
+ */
+export function getPackItemList(
+  packs: IntelligencePack[],
+  name: string,
+): JsonLd {
+  return {
+    "@context": "https://schema.org",
+    "@type": "ItemList",
+    name,
+    numberOfItems: packs.length,
+    itemListElement: packs.map((pack, index) => ({
+      "@type": "ListItem",
+      position: index + 1,
+      name: pack.name,
+      url: getPackUrl(pack),
+    })),
+  };
+}